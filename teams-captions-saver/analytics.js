@@ -0,0 +1,143 @@
+// Transcript Analytics - Shared by the viewer, the popup and the service worker exports
+
+// Calculate per-speaker message/word counts for a transcript
+function calculateAnalytics(captions) {
+    if (!captions || captions.length === 0) return null;
+    
+    const speakerStats = {};
+    let totalWords = 0;
+    
+    // Calculate speaker statistics
+    captions.forEach(caption => {
+        const speaker = caption.Name;
+        const words = caption.Text.split(/\s+/).length;
+        
+        if (!speakerStats[speaker]) {
+            speakerStats[speaker] = {
+                messageCount: 0,
+                wordCount: 0,
+                firstMessage: caption.Time,
+                lastMessage: caption.Time
+            };
+        }
+        
+        speakerStats[speaker].messageCount++;
+        speakerStats[speaker].wordCount += words;
+        speakerStats[speaker].lastMessage = caption.Time;
+        totalWords += words;
+    });
+    
+    // Calculate percentages
+    Object.keys(speakerStats).forEach(speaker => {
+        speakerStats[speaker].wordPercentage = ((speakerStats[speaker].wordCount / totalWords) * 100).toFixed(1);
+    });
+    
+    return {
+        totalMessages: captions.length,
+        totalWords: totalWords,
+        uniqueSpeakers: Object.keys(speakerStats).length,
+        speakerStats: speakerStats
+    };
+}
+
+// Calculate meeting duration from first and last caption
+function calculateDuration(transcriptArray) {
+    if (!transcriptArray || transcriptArray.length === 0) return '0 min';
+    
+    try {
+        // StartedAt is an ISO timestamp; older transcripts only have a locale time string
+        const firstEntry = transcriptArray[0];
+        const lastEntry = transcriptArray[transcriptArray.length - 1];
+        const firstTime = new Date(firstEntry.StartedAt || firstEntry.Time);
+        const lastTime = new Date(lastEntry.StartedAt || lastEntry.Time);
+        
+        // Check if dates are valid
+        if (isNaN(firstTime.getTime()) || isNaN(lastTime.getTime())) {
+            // Fallback: estimate based on caption count (avg 3 seconds per caption)
+            const estimatedMinutes = Math.round((transcriptArray.length * 3) / 60);
+            return `~${estimatedMinutes} min`;
+        }
+        
+        const durationMs = lastTime - firstTime;
+        const minutes = Math.round(durationMs / 60000);
+        
+        if (minutes < 60) {
+            return `${minutes} min`;
+        } else {
+            const hours = Math.floor(minutes / 60);
+            const mins = minutes % 60;
+            return `${hours}h ${mins}m`;
+        }
+    } catch (error) {
+        // If all else fails, show caption count
+        return `${transcriptArray.length} captions`;
+    }
+}
+
+// Summarise the attendee report into one row per person (role, first join, last leave)
+function buildAttendeeRows(attendeeReport) {
+    if (!attendeeReport?.attendeeList?.length) return [];
+
+    const currentRoles = new Map((attendeeReport.currentAttendees || []).map(a => [a.name, a.role]));
+    return attendeeReport.attendeeList.map(name => {
+        const events = (attendeeReport.attendeeHistory || []).filter(event => event.name === name);
+        const firstSeen = events.find(event => event.action !== 'left');
+        const lastLeft = [...events].reverse().find(event => event.action === 'left');
+        const isPresent = currentRoles.has(name);
+        return {
+            name,
+            role: currentRoles.get(name) || firstSeen?.role || 'Attendee',
+            joined: firstSeen?.time || '',
+            left: isPresent ? '' : (lastLeft?.time || '')
+        };
+    });
+}
+
+// Name to show for an alias. An alias may carry an email address for the follow-up
+// email draft ("Name <address>" or just the address); the address is never displayed.
+function getAliasDisplayName(alias) {
+    const text = String(alias ?? '').trim();
+    const withAddress = text.match(/^(.*?)\s*<[^<>]*@[^<>]*>$/);
+    if (withAddress) return withAddress[1].trim();
+    return /^[^\s@<>"]+@[^\s@<>"]+$/.test(text) ? '' : text;
+}
+
+// Original name -> displayed alias, for the aliases that actually rename someone
+function getAppliedAliases(aliases = {}) {
+    return Object.fromEntries(
+        Object.entries(aliases)
+            .map(([original, alias]) => [original, getAliasDisplayName(alias)])
+            .filter(([original, alias]) => alias && alias !== original)
+    );
+}
+
+// Rename people in an attendee report using the speaker alias map
+function applyAliasesToAttendeeReport(attendeeReport, aliases = {}) {
+    if (!attendeeReport || Object.keys(aliases).length === 0) {
+        return attendeeReport;
+    }
+
+    // Create a new report with aliased names
+    const aliasedReport = {
+        ...attendeeReport,
+        attendeeList: attendeeReport.attendeeList.map(name => {
+            const aliasedName = getAliasDisplayName(aliases[name]);
+            return aliasedName || name;
+        }),
+        currentAttendees: attendeeReport.currentAttendees.map(attendee => ({
+            ...attendee,
+            name: getAliasDisplayName(aliases[attendee.name]) || attendee.name
+        })),
+        attendeeHistory: attendeeReport.attendeeHistory.map(event => ({
+            ...event,
+            name: getAliasDisplayName(aliases[event.name]) || event.name
+        }))
+    };
+    
+    return aliasedReport;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { calculateAnalytics, calculateDuration, buildAttendeeRows, getAliasDisplayName, getAppliedAliases, applyAliasesToAttendeeReport };
+}
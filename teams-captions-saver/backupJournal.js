@@ -0,0 +1,188 @@
+// Backup Journal - Append-only backup of the transcript being captured, in chrome.storage.local
+// Written by the content script; replayed by the service worker for session history, by the
+// content script to resume after a reload or crash, and by the popup to recover orphaned backups.
+// `transcriptJournal` holds the meeting details and sequence numbers. Each write appends a
+// `transcriptJournal_record_<seq>` with only the captions added or changed since the last one,
+// and compaction folds the records into `transcriptJournal_snapshot_<n>` chunks.
+// An unfinished journal that a new capture doesn't continue is moved to
+// `transcriptJournal_orphan_<time>` (same layout) and kept until it is saved or discarded.
+
+const JOURNAL_KEY = 'transcriptJournal';
+const JOURNAL_RECORD_PREFIX = 'transcriptJournal_record_';
+const JOURNAL_SNAPSHOT_PREFIX = 'transcriptJournal_snapshot_';
+const JOURNAL_ATTENDEES_KEY = 'transcriptJournal_attendees';
+const JOURNAL_SESSION_KEY = 'transcriptJournal_session'; // Aliases and recording, kept by the service worker
+const JOURNAL_SNAPSHOT_CHUNK_SIZE = 100; // Captions per snapshot chunk
+const JOURNAL_COMPACT_AFTER = 60; // Records written before they are folded into the snapshot
+const JOURNAL_ORPHAN_PREFIX = 'transcriptJournal_orphan_';
+const JOURNAL_ORPHANS_KEY = 'transcriptJournal_orphans'; // Keys of the orphaned journals, oldest first
+
+const journalRange = (from, to) => Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => from + i);
+
+// `journalKey` is JOURNAL_KEY for the journal being written, or the key of an orphaned one
+function getJournalKeys(meta, journalKey = JOURNAL_KEY) {
+    return [
+        // Records are removed after compaction, but one interrupted half-way leaves them behind
+        ...journalRange(1, meta.lastSeq).map(seq => `${journalKey}_record_${seq}`),
+        ...journalRange(0, meta.snapshotChunks - 1).map(index => `${journalKey}_snapshot_${index}`),
+        `${journalKey}_attendees`,
+        `${journalKey}_session`
+    ];
+}
+
+async function clearJournal(journalKey = JOURNAL_KEY) {
+    const { [journalKey]: meta, [JOURNAL_ORPHANS_KEY]: orphanKeys = [] } = await chrome.storage.local.get([journalKey, JOURNAL_ORPHANS_KEY]);
+    const keys = meta ? getJournalKeys(meta, journalKey) : [];
+    if (journalKey !== JOURNAL_KEY) {
+        await chrome.storage.local.set({ [JOURNAL_ORPHANS_KEY]: orphanKeys.filter(key => key !== journalKey) });
+        await chrome.storage.local.remove([...keys, journalKey]);
+        return;
+    }
+    // transcriptBackup is the full copy written by older versions
+    await chrome.storage.local.remove([...keys, JOURNAL_KEY, JOURNAL_ATTENDEES_KEY, JOURNAL_SESSION_KEY, 'transcriptBackup']);
+}
+
+// Copies an unfinished journal to an orphan key, so starting another meeting doesn't lose it.
+// Returns the orphan key, or null when there was nothing unsaved to keep.
+async function orphanJournal() {
+    const { [JOURNAL_KEY]: meta, [JOURNAL_ORPHANS_KEY]: orphanKeys = [] } = await chrome.storage.local.get([JOURNAL_KEY, JOURNAL_ORPHANS_KEY]);
+    if (!meta || meta.finishedAt || meta.lastSeq === 0) return null;
+
+    const orphanKey = `${JOURNAL_ORPHAN_PREFIX}${Date.now()}`;
+    const stored = await chrome.storage.local.get(getJournalKeys(meta));
+    const updates = { [orphanKey]: meta, [JOURNAL_ORPHANS_KEY]: [...orphanKeys, orphanKey] };
+    Object.entries(stored).forEach(([key, value]) => {
+        updates[`${orphanKey}${key.slice(JOURNAL_KEY.length)}`] = value;
+    });
+    await chrome.storage.local.set(updates);
+    return orphanKey;
+}
+
+async function getOrphanedJournalKeys() {
+    const { [JOURNAL_ORPHANS_KEY]: orphanKeys = [] } = await chrome.storage.local.get(JOURNAL_ORPHANS_KEY);
+    return orphanKeys;
+}
+
+// `meeting` holds meetingTitle, meetingIdentity and recordingStartTime. Replaces the previous
+// journal, after moving it aside if it was never finished.
+async function startJournal(meeting) {
+    await orphanJournal();
+    await clearJournal();
+    const meta = {
+        meetingTitle: meeting.meetingTitle || '',
+        meetingIdentity: meeting.meetingIdentity || null,
+        recordingStartTime: meeting.recordingStartTime || null,
+        lastBackup: null,
+        finishedAt: null, // Set when capture stops normally; unfinished journals can be recovered
+        lastSeq: 0,
+        compactedThrough: 0,
+        snapshotChunks: 0
+    };
+    await chrome.storage.local.set({ [JOURNAL_KEY]: meta });
+    return meta;
+}
+
+// `captions` are the entries added or changed since the previous record; `attendees` is
+// written only when given. The record and the updated details are stored in one call.
+async function appendJournalRecord(meta, captions, attendees = null) {
+    const seq = meta.lastSeq + 1;
+    const updatedMeta = { ...meta, lastSeq: seq, lastBackup: new Date().toISOString() };
+    await chrome.storage.local.set({
+        [`${JOURNAL_RECORD_PREFIX}${seq}`]: { seq, captions },
+        [JOURNAL_KEY]: updatedMeta,
+        ...(attendees ? { [JOURNAL_ATTENDEES_KEY]: attendees } : {})
+    });
+    return updatedMeta;
+}
+
+// Marks the capture as stopped normally, so the journal is no longer offered for recovery
+async function finishJournal() {
+    const { [JOURNAL_KEY]: meta } = await chrome.storage.local.get(JOURNAL_KEY);
+    if (!meta || meta.finishedAt) return;
+    await chrome.storage.local.set({ [JOURNAL_KEY]: { ...meta, finishedAt: new Date().toISOString() } });
+}
+
+// A capture that continues an earlier journal of the same meeting reopens it
+async function reopenJournal(meta) {
+    const reopened = { ...meta, finishedAt: null };
+    await chrome.storage.local.set({ [JOURNAL_KEY]: reopened });
+    return reopened;
+}
+
+function shouldCompactJournal(meta) {
+    return meta.lastSeq - meta.compactedThrough >= JOURNAL_COMPACT_AFTER;
+}
+
+// The writer already holds the whole transcript, so the snapshot is written from it rather than replayed
+async function compactJournal(meta, transcript) {
+    const updates = {};
+    for (let index = 0; index * JOURNAL_SNAPSHOT_CHUNK_SIZE < transcript.length; index++) {
+        const start = index * JOURNAL_SNAPSHOT_CHUNK_SIZE;
+        updates[`${JOURNAL_SNAPSHOT_PREFIX}${index}`] = transcript.slice(start, start + JOURNAL_SNAPSHOT_CHUNK_SIZE);
+    }
+    const snapshotChunks = Object.keys(updates).length;
+    const updatedMeta = { ...meta, compactedThrough: meta.lastSeq, snapshotChunks };
+    await chrome.storage.local.set({ ...updates, [JOURNAL_KEY]: updatedMeta });
+
+    await chrome.storage.local.remove([
+        ...journalRange(meta.compactedThrough + 1, meta.lastSeq).map(seq => `${JOURNAL_RECORD_PREFIX}${seq}`),
+        ...journalRange(snapshotChunks, meta.snapshotChunks - 1).map(index => `${JOURNAL_SNAPSHOT_PREFIX}${index}`)
+    ]);
+    return updatedMeta;
+}
+
+// Rebuilds the transcript from the snapshot and the records after it. Captions keep the
+// order they were first seen in; later records replace earlier versions of the same caption.
+// Returns null when there is no journal.
+async function replayJournal(journalKey = JOURNAL_KEY) {
+    const { [journalKey]: meta } = await chrome.storage.local.get(journalKey);
+    if (!meta) return null;
+
+    const snapshotKeys = journalRange(0, meta.snapshotChunks - 1).map(index => `${journalKey}_snapshot_${index}`);
+    const recordKeys = journalRange(meta.compactedThrough + 1, meta.lastSeq).map(seq => `${journalKey}_record_${seq}`);
+    const attendeesKey = `${journalKey}_attendees`;
+    const sessionKey = `${journalKey}_session`;
+    const stored = await chrome.storage.local.get([...snapshotKeys, ...recordKeys, attendeesKey, sessionKey]);
+
+    const transcript = [];
+    const positions = new Map();
+    const upsert = (caption) => {
+        if (positions.has(caption.key)) {
+            transcript[positions.get(caption.key)] = caption;
+        } else {
+            positions.set(caption.key, transcript.length);
+            transcript.push(caption);
+        }
+    };
+
+    snapshotKeys.forEach(key => (stored[key] || []).forEach(upsert));
+    recordKeys.forEach(key => (stored[key]?.captions || []).forEach(upsert));
+
+    return {
+        meta,
+        transcript,
+        attendees: stored[attendeesKey] || null,
+        session: stored[sessionKey] || {}
+    };
+}
+
+// Attendee report, as built by the content script, from the journaled attendee data
+function getJournalAttendeeReport(attendees) {
+    if (!attendees) return null;
+    return {
+        meetingStartTime: attendees.meetingStartTime,
+        lastUpdated: attendees.lastUpdated,
+        lastUpdatedAt: attendees.lastUpdatedAt,
+        totalUniqueAttendees: attendees.allAttendees.length,
+        currentAttendeeCount: attendees.currentAttendees.length,
+        attendeeList: attendees.allAttendees,
+        currentAttendees: attendees.currentAttendees.map(([name, role]) => ({ name, role })),
+        attendeeHistory: attendees.attendeeHistory,
+        headcountHistory: attendees.headcountHistory
+    };
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { startJournal, clearJournal, orphanJournal, getOrphanedJournalKeys, finishJournal, reopenJournal, appendJournalRecord, shouldCompactJournal, compactJournal, replayJournal, getJournalAttendeeReport };
+}
@@ -7,8 +7,15 @@ const TIMING = {
     TOOLTIP_DISPLAY_DURATION: 1500,
     ATTENDEE_UPDATE_INTERVAL: 60000, // Check attendees every minute
     INITIAL_ATTENDEE_DELAY: 1500, // Wait 1.5s after meeting start before first check
+    CAPTION_FINALIZE_DELAY: 5000, // A caption unchanged this long is final
+    CAPTION_FLUSH_FALLBACK: 250, // Flush caption updates this soon when no frame is drawn
+    JOURNAL_FLUSH_INTERVAL: 5000, // Append changed captions to the backup journal
+    RESUME_WINDOW: 2 * 60 * 60 * 1000, // Resume an unfinished backup of this meeting up to 2 hours old
 };
 
+const MAX_CAPTION_REVISIONS = 50;
+const PERFORMANCE_SAMPLE_SIZE = 200; // Recent caption updates behind the performance figures
+
 const SELECTORS = {
     CAPTIONS_RENDERER: "[data-tid='closed-caption-v2-window-wrapper'], [data-tid='closed-captions-renderer'], [data-tid*='closed-caption']",
     CHAT_MESSAGE: '.fui-ChatMessageCompact',
@@ -54,14 +61,39 @@ let autoEnableDebounceTimer = null;
 let autoSaveTriggered = false;
 let lastMeetingId = null;
 
+// --- Caption Lifecycle State ---
+const captionIndex = new Map(); // key -> transcript entry
+const interimCaptions = new Map(); // key -> caption Teams may still rewrite
+const pendingCaptionElements = new Set(); // Caption elements changed since the last flush
+const removedCaptionElements = new Set();
+let captionFlushHandles = null;
+let captionPerformance = null; // Set when capture starts
+let captionFinalizeTimer = null;
+let keepCaptionRevisions = false;
+let transcriptRevision = 0; // Bumped whenever a caption is added, reworded or finalized
+
 // --- Attendee Tracking State ---
 let attendeeUpdateInterval = null;
 let backupInterval = null;
+let journalMeta = null; // Details of the backup journal, see backupJournal.js
+let journalWrites = Promise.resolve(); // Journal writes run one after another
+const journalDirtyKeys = new Set(); // Captions changed since the last journal record
+let journaledAttendeeUpdate = null;
+let restoredAttendeeData = null; // Picked up by startAttendeeTracking after a resume
+let resumedCaptionCount = 0;
+let pendingReconnection = null; // Attached to the first caption after a rejoin or reload
+let checkpointInterval = null;
+let lastCheckpointRevision = null;
+let meetingRecordingStart = null;
+let meetingJoinedAt = null; // Recording announcements from before this are from an earlier meeting
+let recordingChatScanned = false;
 let attendeeData = {
     allAttendees: new Set(), // All unique attendees who joined
     currentAttendees: new Map(), // Currently in meeting (name -> role)
     attendeeHistory: [], // Detailed tracking with timestamps
+    headcountHistory: [], // Roster headcount samples ({ timestamp, count })
     lastUpdated: null,
+    lastUpdatedAt: null,
     meetingStartTime: null,
 };
 
@@ -158,7 +190,8 @@ class RetryHandler {
 // --- Utility Functions ---
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-const getCleanTranscript = () => transcriptArray.map(({ key, ...rest }) => rest);
+// Exposes the internal caption key as a stable `Id` for exports
+const getCleanTranscript = () => transcriptArray.map(({ key, ...rest }) => ({ ...rest, Id: key }));
 
 // --- DOM Element Caching ---
 function getCachedElement(selector, expiry = 5000) {
@@ -182,65 +215,251 @@ function clearElementCache() {
 
 const isUserInMeeting = () => getCachedElement(SELECTORS.LEAVE_BUTTONS) !== null;
 
+// --- Caption Lifecycle ---
+// A caption is interim while Teams keeps rewriting it, and final once it has been
+// unchanged for CAPTION_FINALIZE_DELAY or has scrolled out of the captions window.
+const getCaptionStatus = (caption) => caption.FinalizedAt ? 'final' : 'interim';
+
+function reviseCaption(caption, text, now) {
+    if (keepCaptionRevisions) {
+        caption.Revisions = [...(caption.Revisions || []), { Text: caption.Text, At: caption.LastUpdatedAt }]
+            .slice(-MAX_CAPTION_REVISIONS);
+    }
+    caption.Text = text;
+    caption.LastUpdatedAt = now.toISOString();
+    // Teams occasionally rewrites a caption that already looked settled
+    caption.FinalizedAt = null;
+    interimCaptions.set(caption.key, caption);
+    journalDirtyKeys.add(caption.key);
+    transcriptRevision++;
+}
+
+function finalizeCaption(caption, now) {
+    caption.FinalizedAt = now.toISOString();
+    interimCaptions.delete(caption.key);
+    journalDirtyKeys.add(caption.key);
+    transcriptRevision++;
+    broadcastCaptionUpdate({
+        type: 'final',
+        status: 'final',
+        caption
+    });
+}
+
+// `scrolledOutKeys` are captions that just left the screen; otherwise only the delay counts
+function finalizeSettledCaptions(scrolledOutKeys = new Set()) {
+    const now = new Date();
+    interimCaptions.forEach(caption => {
+        if (scrolledOutKeys.has(caption.key) || now - new Date(caption.LastUpdatedAt) >= TIMING.CAPTION_FINALIZE_DELAY) {
+            finalizeCaption(caption, now);
+        }
+    });
+}
+
+// Mutations stop once everyone is quiet, so a timer finalizes the last captions
+function scheduleCaptionFinalization() {
+    if (captionFinalizeTimer || interimCaptions.size === 0) return;
+    captionFinalizeTimer = setTimeout(() => {
+        captionFinalizeTimer = null;
+        finalizeSettledCaptions();
+        scheduleCaptionFinalization();
+    }, TIMING.CAPTION_FINALIZE_DELAY);
+}
+
+// When capture stops nothing can change any more
+function finalizeAllCaptions() {
+    flushCaptionUpdates();
+    if (captionFinalizeTimer) {
+        clearTimeout(captionFinalizeTimer);
+        captionFinalizeTimer = null;
+    }
+    const now = new Date();
+    interimCaptions.forEach(caption => finalizeCaption(caption, now));
+}
+
 // --- Core Logic ---
-const processCaptionUpdates = ErrorHandler.wrap(function() {
-    const closedCaptionsContainer = getCachedElement(SELECTORS.CAPTIONS_RENDERER);
-    if (!closedCaptionsContainer) return;
+// Mutation records only name the nodes that changed, so each frame handles just those
+// captions and looks them up by id instead of rescanning the whole captions window.
+function processCaptionElement(element) {
+    const authorElement = element.querySelector(SELECTORS.AUTHOR);
+    const textElement = element.querySelector(SELECTORS.CAPTION_TEXT);
 
-    const transcriptElements = closedCaptionsContainer.querySelectorAll(SELECTORS.CHAT_MESSAGE);
+    if (!authorElement || !textElement) return;
 
-    transcriptElements.forEach(element => {
-        try {
-            const authorElement = element.querySelector(SELECTORS.AUTHOR);
-            const textElement = element.querySelector(SELECTORS.CAPTION_TEXT);
+    const name = authorElement.innerText.trim();
+    const text = textElement.innerText.trim();
+    if (text.length === 0) return;
 
-            if (!authorElement || !textElement) return;
+    let captionId = element.getAttribute('data-caption-id');
+    if (!captionId) {
+        captionId = `caption_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+        element.setAttribute('data-caption-id', captionId);
+    }
 
-            const name = authorElement.innerText.trim();
-            const text = textElement.innerText.trim();
-            if (text.length === 0) return;
+    const caption = captionIndex.get(captionId);
 
-            let captionId = element.getAttribute('data-caption-id');
-            if (!captionId) {
-                captionId = `caption_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-                element.setAttribute('data-caption-id', captionId);
-            }
+    if (caption) {
+        // Update existing entry if text has changed. Time stays at the moment
+        // the caption was first seen so exports can align it with the recording.
+        if (caption.Text !== text) {
+            reviseCaption(caption, text, new Date());
+            // Broadcast update to viewer
+            broadcastCaptionUpdate({
+                type: 'update',
+                status: getCaptionStatus(caption),
+                caption
+            });
+        }
+    } else {
+        // Add new entry
+        const now = new Date();
+        const newCaption = {
+            Name: name,
+            Text: text,
+            Time: now.toLocaleTimeString(),
+            StartedAt: now.toISOString(),
+            LastUpdatedAt: now.toISOString(),
+            FinalizedAt: null,
+            key: captionId
+        };
+        if (pendingReconnection) {
+            newCaption.Reconnected = pendingReconnection;
+            pendingReconnection = null;
+        }
+        transcriptArray.push(newCaption);
+        captionIndex.set(captionId, newCaption);
+        interimCaptions.set(captionId, newCaption);
+        journalDirtyKeys.add(captionId);
+        transcriptRevision++;
+        // Broadcast new caption to viewer
+        broadcastCaptionUpdate({
+            type: 'new',
+            status: 'interim',
+            caption: newCaption
+        });
+    }
+}
 
-            const existingIndex = transcriptArray.findIndex(entry => entry.key === captionId);
-            const time = new Date().toLocaleTimeString();
-
-            if (existingIndex !== -1) {
-                // Update existing entry if text has changed
-                if (transcriptArray[existingIndex].Text !== text) {
-                    transcriptArray[existingIndex].Text = text;
-                    transcriptArray[existingIndex].Time = time;
-                    // Broadcast update to viewer
-                    broadcastCaptionUpdate({
-                        type: 'update',
-                        caption: transcriptArray[existingIndex]
-                    });
-                }
-            } else {
-                // Add new entry
-                const newCaption = { Name: name, Text: text, Time: time, key: captionId };
-                transcriptArray.push(newCaption);
-                // Broadcast new caption to viewer
-                broadcastCaptionUpdate({
-                    type: 'new',
-                    caption: newCaption
-                });
-            }
+function queueCaptionElement(node) {
+    const element = node?.closest?.(SELECTORS.CHAT_MESSAGE);
+    if (element) pendingCaptionElements.add(element);
+}
+
+function queueCaptionMutations(records) {
+    records.forEach(record => {
+        if (record.type === 'characterData') {
+            queueCaptionElement(record.target.parentElement);
+            return;
+        }
+        queueCaptionElement(record.target);
+        record.addedNodes.forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            queueCaptionElement(node);
+            node.querySelectorAll(SELECTORS.CHAT_MESSAGE).forEach(element => pendingCaptionElements.add(element));
+        });
+        record.removedNodes.forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            if (node.hasAttribute('data-caption-id')) removedCaptionElements.add(node);
+            node.querySelectorAll('[data-caption-id]').forEach(element => removedCaptionElements.add(element));
+        });
+    });
+}
+
+// Animation frames pause in background tabs, where a meeting often runs, so a timer backs them up
+function scheduleCaptionFlush() {
+    if (captionFlushHandles) return;
+    captionFlushHandles = {
+        frame: requestAnimationFrame(flushCaptionUpdates),
+        timer: setTimeout(flushCaptionUpdates, TIMING.CAPTION_FLUSH_FALLBACK)
+    };
+}
+
+function flushCaptionUpdates() {
+    if (captionFlushHandles) {
+        cancelAnimationFrame(captionFlushHandles.frame);
+        clearTimeout(captionFlushHandles.timer);
+        captionFlushHandles = null;
+    }
+    if (pendingCaptionElements.size === 0 && removedCaptionElements.size === 0) return;
+
+    const started = performance.now();
+    const elements = [...pendingCaptionElements];
+    pendingCaptionElements.clear();
+
+    elements.forEach(element => {
+        try {
+            processCaptionElement(element);
         } catch (error) {
             ErrorHandler.log(error, 'Processing individual caption element', true);
         }
     });
+
+    // Elements that were only moved are connected again by now
+    const scrolledOutKeys = new Set();
+    removedCaptionElements.forEach(element => {
+        if (!element.isConnected) scrolledOutKeys.add(element.getAttribute('data-caption-id'));
+    });
+    removedCaptionElements.clear();
+
+    finalizeSettledCaptions(scrolledOutKeys);
+    scheduleCaptionFinalization();
+    recordCaptionPerformance(performance.now() - started, elements.length);
+}
+
+const processCaptionUpdates = ErrorHandler.wrap(function(records) {
+    if (records) {
+        queueCaptionMutations(records);
+    } else {
+        // Initial scan of a newly observed captions window
+        const closedCaptionsContainer = getCachedElement(SELECTORS.CAPTIONS_RENDERER);
+        if (!closedCaptionsContainer) return;
+        closedCaptionsContainer.querySelectorAll(SELECTORS.CHAT_MESSAGE).forEach(element => pendingCaptionElements.add(element));
+    }
+    scheduleCaptionFlush();
 }, 'Caption updates processing');
 
+// --- Performance Counter ---
+// Shown under Diagnostics in the popup; the recent figures should stay flat as the meeting grows
+function recordCaptionPerformance(milliseconds, entries) {
+    const stats = captionPerformance;
+    stats.updates++;
+    stats.entries += entries;
+    stats.totalMs += milliseconds;
+    stats.maxMs = Math.max(stats.maxMs, milliseconds);
+    stats.recent.push({ at: Date.now(), ms: milliseconds, entries });
+    if (stats.recent.length > PERFORMANCE_SAMPLE_SIZE) stats.recent.shift();
+}
+
+function resetCaptionPerformance() {
+    captionPerformance = { updates: 0, entries: 0, totalMs: 0, maxMs: 0, recent: [], since: Date.now() };
+}
+
+function getCaptionPerformance() {
+    if (!captionPerformance) return null;
+    const { updates, entries, totalMs, maxMs, recent, since } = captionPerformance;
+    const recentMs = recent.reduce((sum, sample) => sum + sample.ms, 0);
+    const recentEntries = recent.reduce((sum, sample) => sum + sample.entries, 0);
+    const recentSeconds = recent.length > 0 ? (Date.now() - recent[0].at) / 1000 : 0;
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return {
+        transcriptLength: transcriptArray.length,
+        updates,
+        entries,
+        avgMsPerUpdate: updates > 0 ? round(totalMs / updates) : 0,
+        maxMsPerUpdate: round(maxMs),
+        recentAvgMsPerUpdate: recent.length > 0 ? round(recentMs / recent.length) : 0,
+        entriesPerSecond: round(entries / Math.max(1, (Date.now() - since) / 1000)),
+        recentEntriesPerSecond: round(recentEntries / Math.max(1, recentSeconds))
+    };
+}
+
 // --- Attendee Tracking Functions ---
 function updateAttendeesFromTranscript() {
     // Fallback method: Extract unique speakers from transcript
     const speakers = [...new Set(transcriptArray.map(item => item.Name))];
-    const currentTime = new Date().toLocaleTimeString();
+    const now = new Date();
+    const currentTime = now.toLocaleTimeString();
     
     speakers.forEach(name => {
         if (!attendeeData.allAttendees.has(name)) {
@@ -251,7 +470,8 @@ function updateAttendeesFromTranscript() {
                 name,
                 role: 'Speaker',
                 action: 'detected from transcript',
-                time: currentTime
+                time: currentTime,
+                timestamp: now.toISOString()
             });
             
             console.log(`Speaker detected from transcript: ${name}`);
@@ -259,6 +479,7 @@ function updateAttendeesFromTranscript() {
     });
     
     attendeeData.lastUpdated = currentTime;
+    attendeeData.lastUpdatedAt = now.toISOString();
     console.log(`Attendee update from transcript. Speakers found: ${speakers.length}`);
 }
 function updateAttendeeList() {
@@ -272,7 +493,9 @@ function updateAttendeeList() {
         }
         
         const attendeeItems = document.querySelectorAll(SELECTORS.ATTENDEE_ITEM);
-        const currentTime = new Date().toLocaleTimeString();
+        const now = new Date();
+        const currentTime = now.toLocaleTimeString();
+        const timestamp = now.toISOString();
         
         // Clear current attendees for fresh update
         const previousAttendees = new Set(attendeeData.currentAttendees.keys());
@@ -299,10 +522,21 @@ function updateAttendeeList() {
                         name,
                         role,
                         action: 'joined',
-                        time: currentTime
+                        time: currentTime,
+                        timestamp
                     });
                     
                     console.log(`New attendee detected: ${name} (${role})`);
+                } else if (!previousAttendees.has(name)) {
+                    // Seen before but not in the last roster: they left and came back
+                    attendeeData.attendeeHistory.push({
+                        name,
+                        role,
+                        action: 'rejoined',
+                        time: currentTime,
+                        timestamp
+                    });
+                    console.log(`Attendee rejoined: ${name} (${role})`);
                 }
             }
         });
@@ -313,22 +547,27 @@ function updateAttendeeList() {
                 attendeeData.attendeeHistory.push({
                     name,
                     action: 'left',
-                    time: currentTime
+                    time: currentTime,
+                    timestamp
                 });
                 console.log(`Attendee left: ${name}`);
             }
         });
         
         attendeeData.lastUpdated = currentTime;
+        attendeeData.lastUpdatedAt = timestamp;
         
-        // Get count from header
+        // Get count from header; fall back to the roster size when it can't be read
+        let headcount = attendeeData.currentAttendees.size;
         const countElement = document.querySelector(SELECTORS.ATTENDEE_COUNT);
         if (countElement) {
             const countMatch = countElement.textContent.match(/\((\d+)\)/);
             if (countMatch) {
+                headcount = parseInt(countMatch[1], 10);
                 console.log(`Total attendees in meeting: ${countMatch[1]}`);
             }
         }
+        attendeeData.headcountHistory.push({ timestamp, count: headcount });
         
         console.log(`Attendee update complete. Current: ${attendeeData.currentAttendees.size}, Total: ${attendeeData.allAttendees.size}`);
         
@@ -365,14 +604,17 @@ async function startAttendeeTracking() {
         clearInterval(attendeeUpdateInterval);
     }
     
-    // Reset attendee data for new meeting
-    attendeeData = {
+    // Reset attendee data for new meeting, unless a resumed capture restored it
+    attendeeData = restoredAttendeeData ? restoreAttendeeData(restoredAttendeeData) : {
         allAttendees: new Set(),
         currentAttendees: new Map(),
         attendeeHistory: [],
+        headcountHistory: [],
         lastUpdated: null,
+        lastUpdatedAt: null,
         meetingStartTime: new Date().toISOString(),
     };
+    restoredAttendeeData = null;
     
     console.log("Starting attendee tracking...");
     
@@ -408,6 +650,7 @@ async function getAttendeeReport() {
     const report = {
         meetingStartTime: attendeeData.meetingStartTime,
         lastUpdated: attendeeData.lastUpdated,
+        lastUpdatedAt: attendeeData.lastUpdatedAt,
         totalUniqueAttendees: attendeeData.allAttendees.size,
         currentAttendeeCount: attendeeData.currentAttendees.size,
         attendeeList: Array.from(attendeeData.allAttendees),
@@ -415,7 +658,8 @@ async function getAttendeeReport() {
             name,
             role
         })),
-        attendeeHistory: attendeeData.attendeeHistory
+        attendeeHistory: attendeeData.attendeeHistory,
+        headcountHistory: attendeeData.headcountHistory
     };
     
     console.log("[Teams Caption Saver] Attendee report generated:", {
@@ -426,6 +670,54 @@ async function getAttendeeReport() {
     return report;
 }
 
+// --- Recording Detection ---
+// Teams posts a control message in the meeting chat when someone starts recording,
+// e.g. "Recording has started." or "Alex started recording."
+const RECORDING_STARTED_PATTERN = /\brecording( and transcription)? (has|have) started\b|\bstarted recording\b/i;
+
+// Recurring meetings keep the chat of earlier occurrences, so only announcements since
+// joining count. A resumed capture started earlier than this page load.
+function getRecordingWindowStart() {
+    const starts = [meetingJoinedAt, recordingStartTime].filter(Boolean);
+    return starts.length > 0 ? new Date(Math.min(...starts)) : null;
+}
+
+// Start of the most recent recording announced in the chat during this meeting, as an ISO string
+function getRecordingStartFromChat() {
+    const windowStart = getRecordingWindowStart();
+    let latest = null;
+    document.querySelectorAll(SELECTORS.CHAT_CONTROL_MESSAGE).forEach(element => {
+        if (!RECORDING_STARTED_PATTERN.test(element.textContent)) return;
+
+        // Prefer the message's own timestamp; otherwise remember when it was first seen.
+        // Messages already in the chat at the first scan could be from any earlier time.
+        let startedAt = element.querySelector('time[datetime]')?.getAttribute('datetime');
+        if (!startedAt || isNaN(new Date(startedAt))) {
+            if (!element.dataset.recordingSeenAt) {
+                element.dataset.recordingSeenAt = recordingChatScanned ? new Date().toISOString() : 'unknown';
+            }
+            if (element.dataset.recordingSeenAt === 'unknown') return;
+            startedAt = element.dataset.recordingSeenAt;
+        }
+        const startDate = new Date(startedAt);
+        if (windowStart && startDate < windowStart) return;
+        if (!latest || startDate > latest) latest = startDate;
+    });
+    recordingChatScanned = true;
+    return latest ? latest.toISOString() : null;
+}
+
+function detectRecordingStart() {
+    // Scan even when not capturing, so announcements made before captions are on get a time
+    const startedAt = getRecordingStartFromChat();
+    if (!capturing) return;
+    if (startedAt && startedAt !== meetingRecordingStart) {
+        meetingRecordingStart = startedAt;
+        console.log(`[Teams Caption Saver] Recording start detected: ${startedAt}`);
+        chrome.runtime.sendMessage({ message: "update_meeting_recording", startedAt }).catch(() => {});
+    }
+}
+
 // --- Event-Driven Meeting Detection ---
 let meetingStateDebounceTimer = null;
 let captionsStateDebounceTimer = null;
@@ -440,6 +732,7 @@ function setupMeetingObserver() {
         }
         meetingStateDebounceTimer = setTimeout(() => {
             handleMeetingStateChange();
+            detectRecordingStart();
         }, 1000);
     });
     
@@ -472,6 +765,9 @@ function setupCaptionsObserver() {
 
 const handleMeetingStateChange = ErrorHandler.wrap(async function() {
     const nowInMeeting = isUserInMeeting();
+    if (nowInMeeting && !wasInMeeting) {
+        meetingJoinedAt = new Date();
+    }
     
     if (wasInMeeting && !nowInMeeting) {
         console.log("Meeting transition detected: In -> Out. Checking for auto-save.");
@@ -487,6 +783,10 @@ const handleMeetingStateChange = ErrorHandler.wrap(async function() {
             // Silent fail if no listeners
         }
         
+        // A checkpoint racing the final save could recreate the partial file after it's removed
+        stopCheckpoints();
+        finalizeAllCaptions();
+        
         // Generate a unique meeting session ID
         const currentMeetingId = `${meetingTitleOnStart}_${recordingStartTime?.toISOString() || Date.now()}`;
         
@@ -499,8 +799,9 @@ const handleMeetingStateChange = ErrorHandler.wrap(async function() {
         }
         
         try {
-            const { autoSaveOnEnd } = await chrome.storage.sync.get('autoSaveOnEnd');
-            if (autoSaveOnEnd && transcriptArray.length > 0) {
+            const { autoSaveOnEnd, checkpointIntervalMinutes } = await chrome.storage.sync.get(['autoSaveOnEnd', 'checkpointIntervalMinutes']);
+            // With checkpoints on, the final save replaces the partial file even if auto-save is off
+            if ((autoSaveOnEnd || checkpointIntervalMinutes > 0) && transcriptArray.length > 0) {
                 console.log("Auto-save is ON and transcript has data. Triggering save.");
                 
                 // Mark auto-save as triggered before sending message
@@ -597,7 +898,7 @@ function ensureObserverIsActive() {
 
 async function startCaptureSession() {
     // Check if caption tracking is enabled
-    const { trackCaptions } = await chrome.storage.sync.get('trackCaptions');
+    const { trackCaptions, keepCaptionRevisions: keepRevisions } = await chrome.storage.sync.get(['trackCaptions', 'keepCaptionRevisions']);
     if (trackCaptions === false) {
         console.log("Caption tracking is disabled in settings");
         // Still start attendee tracking if captions are disabled
@@ -607,18 +908,34 @@ async function startCaptureSession() {
     
     if (capturing) return;
 
-    console.log("New caption session detected. Starting capture.");
+    capturing = true;
     transcriptArray.length = 0;
-    chrome.storage.session.remove('speakerAliases');
+    captionIndex.clear();
+    interimCaptions.clear();
+    resetCaptionPerformance();
+    keepCaptionRevisions = keepRevisions === true;
+    resumedCaptionCount = 0;
+    restoredAttendeeData = null;
+    pendingReconnection = null;
 
-    capturing = true;
-    meetingTitleOnStart = document.title;
-    recordingStartTime = new Date();
+    const journal = await getContinuableJournal();
+    if (journal) {
+        resumeFromJournal(journal);
+    } else {
+        console.log("New caption session detected. Starting capture.");
+        chrome.storage.session.remove('speakerAliases');
+        meetingTitleOnStart = document.title;
+        recordingStartTime = new Date();
+        // A new session replaces the previous recording; one announced since joining still counts
+        meetingRecordingStart = getRecordingStartFromChat();
+        chrome.runtime.sendMessage({ message: "update_meeting_recording", startedAt: meetingRecordingStart, newSession: true }).catch(() => {});
+    }
     
     console.log(`Capture started. Title: "${meetingTitleOnStart}", Time: ${recordingStartTime.toLocaleString()}`);
     
     // Start periodic backup
-    startPeriodicBackup();
+    startPeriodicBackup(journal);
+    startCheckpoints();
     
     // Start attendee tracking
     startAttendeeTracking();
@@ -628,33 +945,210 @@ async function startCaptureSession() {
     ensureObserverIsActive();
 }
 
-function startPeriodicBackup() {
+// Appends the captions that changed to the backup journal rather than rewriting the whole transcript.
+// A resumed capture keeps writing to the journal it was restored from, reopening it after a rejoin.
+function startPeriodicBackup(resumedJournal = null) {
     // Clear any existing backup interval
     if (backupInterval) {
         clearInterval(backupInterval);
     }
-    
-    // Backup transcript every 30 seconds
-    backupInterval = setInterval(async () => {
-        if (transcriptArray.length > 0) {
-            try {
-                await chrome.storage.local.set({
-                    transcriptBackup: {
-                        transcript: transcriptArray,
-                        meetingTitle: meetingTitleOnStart,
-                        recordingStartTime: recordingStartTime ? recordingStartTime.toISOString() : null,
-                        lastBackup: new Date().toISOString(),
-                        attendeeData: attendeeData
-                    }
-                });
-                console.log(`[Teams Caption Saver] Backup saved: ${transcriptArray.length} entries`);
-            } catch (error) {
-                console.error("[Teams Caption Saver] Backup failed:", error);
-            }
+
+    if (resumedJournal) {
+        journalMeta = null;
+        journaledAttendeeUpdate = resumedJournal.attendees?.lastUpdatedAt ?? null;
+        journalWrites = journalWrites
+            .then(async () => { journalMeta = await reopenJournal(resumedJournal.meta); })
+            .catch(error => console.error("[Teams Caption Saver] Could not reopen backup journal:", error));
+    } else {
+        journalDirtyKeys.clear();
+        journaledAttendeeUpdate = null;
+        journalMeta = null;
+        const meeting = {
+            meetingTitle: meetingTitleOnStart,
+            meetingIdentity: getMeetingIdentity(),
+            recordingStartTime: recordingStartTime ? recordingStartTime.toISOString() : null
+        };
+        journalWrites = journalWrites
+            .then(async () => { journalMeta = await startJournal(meeting); })
+            .catch(error => console.error("[Teams Caption Saver] Could not start backup journal:", error));
+    }
+
+    backupInterval = setInterval(flushJournal, TIMING.JOURNAL_FLUSH_INTERVAL);
+}
+
+function flushJournal() {
+    journalWrites = journalWrites
+        .then(writeJournalRecord)
+        .catch(error => console.error("[Teams Caption Saver] Backup failed:", error));
+    return journalWrites;
+}
+
+async function writeJournalRecord() {
+    if (!journalMeta) return;
+    const attendeeUpdate = attendeeData.lastUpdatedAt;
+    const attendeesChanged = attendeeUpdate !== journaledAttendeeUpdate;
+    if (journalDirtyKeys.size === 0 && !attendeesChanged) return;
+
+    const keys = [...journalDirtyKeys];
+    journalDirtyKeys.clear();
+    try {
+        journalMeta = await appendJournalRecord(
+            journalMeta,
+            keys.map(key => captionIndex.get(key)),
+            attendeesChanged ? serializeAttendeeData() : null
+        );
+    } catch (error) {
+        // Try these captions again with the next record
+        keys.forEach(key => journalDirtyKeys.add(key));
+        throw error;
+    }
+    journaledAttendeeUpdate = attendeeUpdate;
+
+    if (shouldCompactJournal(journalMeta)) {
+        journalMeta = await compactJournal(journalMeta, transcriptArray);
+        console.log(`[Teams Caption Saver] Backup journal compacted: ${transcriptArray.length} entries`);
+    }
+}
+
+// --- Crash, Reload & Rejoin Recovery ---
+// Thread id of the meeting from the Teams URL, e.g. 19:meeting_N2Q...@thread.v2, then a
+// meeting id parameter, then the window title without the unread count and app name
+const MEETING_THREAD_PATTERN = /19:[^/?#&@\s]+@thread\.[a-z0-9]+/i;
+const MEETING_ID_PATTERN = /[?&#](?:meetingId|meetingCode|conversationId)=([^&#]+)/i;
+const TITLE_IDENTITY_PREFIX = 'title:';
+
+function getMeetingIdentity() {
+    let url = window.location.href;
+    try {
+        url = decodeURIComponent(url);
+    } catch (error) {
+        // Keep the raw URL
+    }
+    const thread = url.match(MEETING_THREAD_PATTERN);
+    if (thread) return thread[0];
+    const meetingId = url.match(MEETING_ID_PATTERN);
+    if (meetingId) return `meeting:${meetingId[1]}`;
+    const title = document.title.replace(/^\(\d+\)\s*/, '').replace(/\s*\|\s*Microsoft Teams\s*$/i, '');
+    return `${TITLE_IDENTITY_PREFIX}${title}`;
+}
+
+// The journal of this meeting when capture starts again. An unfinished one means the tab was
+// reloaded or the browser crashed; a finished one means the call dropped and was rejoined, or
+// captions were turned off and on, and is continued within the `rejoinMergeMinutes` setting.
+// Back-to-back meetings often share a title, so only a URL identity continues a finished one.
+async function getContinuableJournal() {
+    try {
+        await journalWrites; // The previous capture may still be finishing its journal
+        const journal = await replayJournal();
+        if (!journal || journal.transcript.length === 0) return null;
+        if (journal.meta.meetingIdentity !== getMeetingIdentity()) return null;
+
+        if (!journal.meta.finishedAt) {
+            const lastBackup = new Date(journal.meta.lastBackup || 0);
+            return Date.now() - lastBackup <= TIMING.RESUME_WINDOW ? journal : null;
+        }
+        if (journal.meta.meetingIdentity.startsWith(TITLE_IDENTITY_PREFIX)) return null;
+        const { rejoinMergeMinutes } = await chrome.storage.sync.get('rejoinMergeMinutes');
+        const mergeWindow = (Number(rejoinMergeMinutes) || 0) * 60000;
+        return Date.now() - new Date(journal.meta.finishedAt) <= mergeWindow ? journal : null;
+    } catch (error) {
+        ErrorHandler.log(error, 'Reading backup journal', true);
+        return null;
+    }
+}
+
+function resumeFromJournal({ meta, transcript, attendees }) {
+    transcript.forEach(caption => {
+        // The captions window was rebuilt, so captions from before the reload can't change any more
+        if (!caption.FinalizedAt) {
+            caption.FinalizedAt = caption.LastUpdatedAt || new Date().toISOString();
+            journalDirtyKeys.add(caption.key);
         }
-    }, 30000); // 30 seconds
+        transcriptArray.push(caption);
+        captionIndex.set(caption.key, caption);
+    });
+    meetingTitleOnStart = meta.meetingTitle || document.title;
+    recordingStartTime = meta.recordingStartTime ? new Date(meta.recordingStartTime) : new Date();
+    meetingRecordingStart = getRecordingStartFromChat();
+    restoredAttendeeData = attendees;
+    resumedCaptionCount = transcript.length;
+
+    // Measured from the last caption heard, or from when capture stopped if that's later
+    const lastHeard = Math.max(
+        ...transcript.map(caption => new Date(caption.LastUpdatedAt || caption.StartedAt).getTime() || 0),
+        new Date(meta.finishedAt || 0).getTime()
+    );
+    const now = new Date();
+    pendingReconnection = { At: now.toISOString(), GapSeconds: Math.max(0, Math.round((now - lastHeard) / 1000)) };
+
+    // The service worker puts the speaker aliases and recording back into session storage
+    chrome.runtime.sendMessage({ message: "restore_journal_session" }).catch(() => {});
+    const reason = meta.finishedAt ? 'rejoining the meeting' : 'a reload';
+    console.log(`[Teams Caption Saver] Resumed capture after ${reason}: ${transcript.length} captions restored`);
 }
 
+function restoreAttendeeData(attendees) {
+    return {
+        ...attendees,
+        allAttendees: new Set(attendees.allAttendees),
+        currentAttendees: new Map(attendees.currentAttendees)
+    };
+}
+
+// Sets and Maps don't survive chrome.storage
+function serializeAttendeeData() {
+    return {
+        ...attendeeData,
+        allAttendees: Array.from(attendeeData.allAttendees),
+        currentAttendees: Array.from(attendeeData.currentAttendees.entries())
+    };
+}
+
+// Write the transcript to disk every N minutes while the meeting runs (off when 0)
+async function startCheckpoints() {
+    stopCheckpoints();
+    lastCheckpointRevision = null;
+
+    const { checkpointIntervalMinutes } = await chrome.storage.sync.get('checkpointIntervalMinutes');
+    const minutes = Number(checkpointIntervalMinutes);
+    if (!capturing || !(minutes > 0)) return;
+
+    checkpointInterval = setInterval(async () => {
+        if (transcriptArray.length === 0) return;
+
+        // Skip the write when nothing has changed since the last checkpoint
+        const revision = transcriptRevision;
+        if (revision === lastCheckpointRevision) return;
+
+        try {
+            await chrome.runtime.sendMessage({
+                message: "save_checkpoint",
+                transcriptArray: getCleanTranscript(),
+                meetingTitle: meetingTitleOnStart,
+                recordingStartTime: recordingStartTime ? recordingStartTime.toISOString() : null,
+                attendeeReport: await getAttendeeReport()
+            });
+            lastCheckpointRevision = revision;
+        } catch (error) {
+            ErrorHandler.log(error, 'Checkpoint save', false);
+        }
+    }, minutes * 60000);
+}
+
+function stopCheckpoints() {
+    if (checkpointInterval) {
+        clearInterval(checkpointInterval);
+        checkpointInterval = null;
+    }
+}
+
+// A new interval set in the popup applies to the meeting being captured
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.checkpointIntervalMinutes && capturing) {
+        startCheckpoints();
+    }
+});
+
 function stopCaptureSession() {
     if (!capturing) return;
 
@@ -665,25 +1159,22 @@ function stopCaptureSession() {
         observer = null;
     }
     observedElement = null;
+    finalizeAllCaptions();
     
     // Stop periodic backup
     if (backupInterval) {
         clearInterval(backupInterval);
         backupInterval = null;
     }
+    stopCheckpoints();
     
-    // Final backup before stopping
+    // Final backup before stopping; a finished journal is no longer offered for recovery
+    flushJournal();
+    // Later flushes must not write the unfinished details back
+    journalWrites = journalWrites
+        .then(async () => { await finishJournal(); journalMeta = null; })
+        .catch(error => console.error("[Teams Caption Saver] Backup failed:", error));
     if (transcriptArray.length > 0) {
-        chrome.storage.local.set({
-            transcriptBackup: {
-                transcript: transcriptArray,
-                meetingTitle: meetingTitleOnStart,
-                recordingStartTime: recordingStartTime ? recordingStartTime.toISOString() : null,
-                lastBackup: new Date().toISOString(),
-                attendeeData: attendeeData
-            }
-        });
-        
         // Save to session history when meeting ends (even if < 5 minutes)
         saveToSessionHistory();
     }
@@ -699,12 +1190,13 @@ async function saveToSessionHistory() {
     if (transcriptArray.length === 0) return;
     
     try {
-        // Use message passing to save session (content scripts can't import modules)
+        // The service worker reads the captions back from the backup journal
+        await flushJournal();
         const attendeeReport = await getAttendeeReport();
         await chrome.runtime.sendMessage({
             message: "save_session_history",
-            transcriptArray: transcriptArray,
             meetingTitle: meetingTitleOnStart || 'Untitled Meeting',
+            recordingStartTime: recordingStartTime ? recordingStartTime.toISOString() : null,
             attendeeReport: attendeeReport
         });
         
@@ -882,7 +1374,10 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
                     capturing: trackCaptions !== false ? capturing : false,
                     captionCount: transcriptArray.length,
                     isInMeeting: isUserInMeeting(),
-                    attendeeCount: attendeeReport ? attendeeReport.totalUniqueAttendees : 0
+                    attendeeCount: attendeeReport ? attendeeReport.totalUniqueAttendees : 0,
+                    captionPerformance: getCaptionPerformance(),
+                    resumedCaptionCount: capturing ? resumedCaptionCount : 0,
+                    meetingIdentity: getMeetingIdentity()
                 });
             })();
             return true; // Will respond asynchronously
@@ -896,23 +1391,34 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
                         attendeeCount: attendeeReport ? attendeeReport.totalUniqueAttendees : 0,
                         attendees: attendeeReport ? attendeeReport.attendeeList : []
                     });
-                    chrome.runtime.sendMessage({
+                    // The popup shows the outcome of the save
+                    const response = await chrome.runtime.sendMessage({
                         message: "download_captions",
                         transcriptArray: getCleanTranscript(),
                         meetingTitle: meetingTitleOnStart,
                         format: request.format,
                         recordingStartTime: recordingStartTime ? recordingStartTime.toISOString() : new Date().toISOString(),
                         attendeeReport: attendeeReport
-                    });
+                    }).catch(error => ({ success: false, error: error.message }));
+                    sendResponse(response);
                 })();
-            } else {
-                alert("No captions were captured. Please ensure captions are turned on in the meeting.");
+                return true; // Will respond asynchronously
             }
+            sendResponse({ success: false, error: "No captions were captured. Please ensure captions are turned on in the meeting." });
             break;
 
         case 'get_transcript_for_copying':
-            sendResponse({ transcriptArray: getCleanTranscript() });
-            break;
+            (async () => {
+                // Title, start time and attendees are used by the wiki markup copy formats
+                const attendeeReport = await getAttendeeReport();
+                sendResponse({
+                    transcriptArray: getCleanTranscript(),
+                    meetingTitle: meetingTitleOnStart,
+                    recordingStartTime: recordingStartTime ? recordingStartTime.toISOString() : null,
+                    attendeeReport: attendeeReport
+                });
+            })();
+            return true; // Will respond asynchronously
 
         case 'get_captions_for_viewing':
             if (transcriptArray.length > 0) {
@@ -0,0 +1,70 @@
+// Export Templates - Custom save formats, edited in the popup and kept in sync storage
+// Shared by the service worker (saving) and the popup (save menu, editor). Depends on templateEngine.js.
+// Each template is offered as a `template:<id>` format; templates that don't parse are left out.
+// `exportTemplates` in config.json only provides the templates a new install starts with.
+
+const TEMPLATE_FORMAT_PREFIX = 'template:';
+
+function getTemplateId(format) {
+    return typeof format === 'string' && format.startsWith(TEMPLATE_FORMAT_PREFIX)
+        ? format.slice(TEMPLATE_FORMAT_PREFIX.length)
+        : null;
+}
+
+// Bodies may be given as an array of lines to keep config.json readable
+function getTemplateBody(template) {
+    return Array.isArray(template.body) ? template.body.join('\n') : String(template.body || '');
+}
+
+// Why a template can't be used, or null when it parses
+function getTemplateError(template) {
+    if (!template || typeof template !== 'object') return 'Template must be an object';
+    try {
+        TemplateEngine.parse(getTemplateBody(template));
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Template id -> error for every template that can't be used
+function getTemplateErrors(exportTemplates) {
+    return Object.fromEntries(
+        Object.entries(exportTemplates || {})
+            .map(([id, template]) => [id, getTemplateError(template)])
+            .filter(([, error]) => error)
+    );
+}
+
+function getExportTemplate(exportTemplates, format) {
+    const templateId = getTemplateId(format);
+    if (!templateId || !exportTemplates) return null;
+    if (!Object.prototype.hasOwnProperty.call(exportTemplates, templateId)) return null;
+    return getTemplateError(exportTemplates[templateId]) ? null : exportTemplates[templateId];
+}
+
+// The templates from settings, or the config.json defaults before any were stored
+async function getStoredExportTemplates(config) {
+    const { exportTemplates } = await chrome.storage.sync.get('exportTemplates');
+    return exportTemplates ?? config.exportTemplates ?? {};
+}
+
+// The config with the templates from settings in place of the packaged ones
+async function withStoredExportTemplates(config) {
+    return { ...config, exportTemplates: await getStoredExportTemplates(config) };
+}
+
+// Built-in formats from allowedSaveFormats plus one `template:<id>` per usable template
+function getAvailableSaveFormats(config) {
+    const allowedFormats = config.allowedSaveFormats || ['md', 'txt'];
+    const templateErrors = getTemplateErrors(config.exportTemplates);
+    const templateFormats = Object.keys(config.exportTemplates || {})
+        .filter(id => !templateErrors[id])
+        .map(id => `${TEMPLATE_FORMAT_PREFIX}${id}`);
+    return [...allowedFormats, ...templateFormats];
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TEMPLATE_FORMAT_PREFIX, getTemplateId, getTemplateBody, getTemplateError, getTemplateErrors, getStoredExportTemplates, withStoredExportTemplates, getExportTemplate, getAvailableSaveFormats };
+}
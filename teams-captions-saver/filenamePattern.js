@@ -0,0 +1,193 @@
+// Filename Patterns - Expands and validates the `filenamePattern` setting
+// Shared by the service worker (saving) and the popup (live preview). Depends on analytics.js.
+// A "/" in the pattern creates subfolders inside Downloads; "/" inside a value never does.
+
+const DEFAULT_FILENAME_PATTERN = '{date}_{title}';
+const DEFAULT_FILENAME_SPEAKERS = 3;
+
+// Token name -> description, for validation and the popup's help text
+const FILENAME_TOKENS = {
+    title: 'meeting title',
+    date: 'save date (YYYY-MM-DD), or {date:FORMAT}',
+    time: 'save time (HH-MM-SS)',
+    startDate: 'meeting start date',
+    startTime: 'meeting start time (HH-MM)',
+    year: 'meeting start year',
+    month: 'meeting start month (01-12)',
+    day: 'meeting start day (01-31)',
+    duration: 'meeting length, e.g. 45min or 1h30m',
+    speakers: 'first speakers, e.g. {speakers:2}',
+    organizer: 'organizer from the attendee list',
+    attendees: 'attendee count, e.g. 12_attendees',
+    meetingId: 'short id shared by all files of one meeting',
+    format: 'export format',
+    start: 'custom start date, e.g. {start:YYYY-MM-DD_HHmm}'
+};
+
+// Tokens that take an argument after a colon
+const FILENAME_TOKEN_ARGUMENTS = {
+    speakers: /^[1-9]\d*$/,
+    start: /^[YMDHhms\-_. ]+$/,
+    date: /^[YMDHhms\-_. ]+$/
+};
+
+const FILENAME_TOKEN_PATTERN = /\{([A-Za-z]+)(?::([^{}]*))?\}/g;
+const FILENAME_FORBIDDEN_CHARACTERS = /[<>:"\\|?*\x00-\x1F]/;
+const FILENAME_RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+const MAX_FILENAME_PATTERN_LENGTH = 200;
+
+function getSanitizedMeetingName(fullTitle) {
+    if (!fullTitle) return "Meeting";
+    const parts = fullTitle.split('|');
+    // Handles titles like "Meeting Name | Microsoft Teams" or "Location | Meeting | Teams"
+    const meetingName = parts.length > 2 ? parts[1] : parts[0];
+    const cleanedName = meetingName.replace('Microsoft Teams', '').trim();
+    // Replace characters forbidden in filenames
+    return cleanedName.replace(/[<>:"/\\|?*\x00-\x1F]/g, '_') || "Meeting";
+}
+
+// Token values are single path segments, so "/" is replaced along with the forbidden characters
+function sanitizeFilenamePart(value) {
+    return String(value ?? '').replace(/[<>:"/\\|?*\x00-\x1F]/g, '_').trim();
+}
+
+// Supports YYYY, YY, MM, DD, HH, hh, mm and ss in local time
+function formatFilenameDate(date, format) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const parts = {
+        YYYY: String(date.getFullYear()),
+        YY: String(date.getFullYear()).slice(-2),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        hh: pad(date.getHours() % 12 || 12),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+    };
+    return format.replace(/YYYY|YY|MM|DD|HH|hh|mm|ss/g, part => parts[part]);
+}
+
+function formatFilenameDuration(transcript) {
+    const first = new Date(transcript[0]?.StartedAt);
+    const last = new Date(transcript[transcript.length - 1]?.StartedAt);
+    if (isNaN(first) || isNaN(last)) return '';
+
+    const minutes = Math.max(0, Math.round((last - first) / 60000));
+    if (minutes < 60) return `${minutes}min`;
+    return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function getOrganizerName(attendeeReport) {
+    const organizer = buildAttendeeRows(attendeeReport).find(row => /organi[sz]er/i.test(row.role));
+    return organizer ? organizer.name : '';
+}
+
+// Short FNV-1a hash of the meeting title and start, so every file from one meeting shares it
+function getFilenameMeetingId(meetingTitle, recordingStartTime) {
+    let hash = 0x811c9dc5;
+    for (const char of `${meetingTitle || ''}_${recordingStartTime || ''}`) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Returns a list of problems; an empty list means the pattern is usable
+function validateFilenamePattern(pattern) {
+    const errors = [];
+    const text = String(pattern ?? '');
+
+    if (!text.trim()) {
+        return ['The pattern is empty.'];
+    }
+    if (text.length > MAX_FILENAME_PATTERN_LENGTH) {
+        errors.push(`The pattern is longer than ${MAX_FILENAME_PATTERN_LENGTH} characters.`);
+    }
+
+    for (const [, name, argument] of text.matchAll(FILENAME_TOKEN_PATTERN)) {
+        if (!Object.prototype.hasOwnProperty.call(FILENAME_TOKENS, name)) {
+            errors.push(`Unknown token {${name}}.`);
+        } else if (argument !== undefined && !FILENAME_TOKEN_ARGUMENTS[name]?.test(argument)) {
+            errors.push(`Invalid value "${argument}" for {${name}}.`);
+        } else if (name === 'start' && argument === undefined) {
+            errors.push('{start} needs a date format, e.g. {start:YYYY-MM-DD}.');
+        }
+    }
+
+    // Whatever is left outside the tokens ends up in the path as typed
+    const literal = text.replace(FILENAME_TOKEN_PATTERN, 'x');
+    if (/[{}]/.test(literal)) {
+        errors.push('Stray "{" or "}" outside a token.');
+    }
+    if (FILENAME_FORBIDDEN_CHARACTERS.test(literal.replace(/[{}]/g, ''))) {
+        errors.push('Filenames cannot contain < > : " \\ | ? * characters.');
+    }
+    if (literal.startsWith('/')) {
+        errors.push('The pattern cannot start with "/"; files are always saved inside Downloads.');
+    }
+    if (literal.endsWith('/')) {
+        errors.push('The pattern cannot end with "/".');
+    }
+
+    const segments = literal.split('/');
+    if (segments.slice(1, -1).some(segment => segment === '')) {
+        errors.push('The pattern contains an empty folder name ("//").');
+    }
+    if (segments.some(segment => segment === '.' || segment === '..')) {
+        errors.push('Folder names "." and ".." are not allowed.');
+    }
+    if (segments.some(segment => segment !== '.' && segment !== '..' && /[. ]$/.test(segment))) {
+        errors.push('Folder and file names cannot end with a dot or a space.');
+    }
+    if (segments.some(segment => FILENAME_RESERVED_NAMES.test(segment))) {
+        errors.push('The pattern uses a name reserved by Windows (CON, NUL, COM1, ...).');
+    }
+
+    return errors;
+}
+
+// `context` holds meetingTitle, format, transcript (aliased), attendeeReport (aliased),
+// recordingStartTime and savedAt
+function expandFilenamePattern(pattern, context) {
+    const savedAt = context.savedAt || new Date();
+    const transcript = context.transcript || [];
+    const startedAt = new Date(context.recordingStartTime || transcript[0]?.StartedAt || savedAt);
+    const start = isNaN(startedAt) ? savedAt : startedAt;
+    const attendeeCount = context.attendeeReport ? context.attendeeReport.totalUniqueAttendees : 0;
+
+    const values = {
+        title: () => getSanitizedMeetingName(context.meetingTitle),
+        date: (format) => formatFilenameDate(savedAt, format || 'YYYY-MM-DD'),
+        time: () => formatFilenameDate(savedAt, 'HH-mm-ss'),
+        startDate: () => formatFilenameDate(start, 'YYYY-MM-DD'),
+        startTime: () => formatFilenameDate(start, 'HH-mm'),
+        year: () => formatFilenameDate(start, 'YYYY'),
+        month: () => formatFilenameDate(start, 'MM'),
+        day: () => formatFilenameDate(start, 'DD'),
+        duration: () => formatFilenameDuration(transcript),
+        speakers: (count) => [...new Set(transcript.map(entry => entry.Name))]
+            .slice(0, Number(count) || DEFAULT_FILENAME_SPEAKERS)
+            .join(', '),
+        organizer: () => getOrganizerName(context.attendeeReport),
+        attendees: () => attendeeCount > 0 ? `${attendeeCount}_attendees` : '',
+        meetingId: () => getFilenameMeetingId(context.meetingTitle, context.recordingStartTime),
+        format: () => context.format || '',
+        start: (format) => formatFilenameDate(start, format || 'YYYY-MM-DD')
+    };
+
+    const expanded = String(pattern).replace(FILENAME_TOKEN_PATTERN, (token, name, argument) =>
+        Object.prototype.hasOwnProperty.call(values, name) ? sanitizeFilenamePart(values[name](argument)) : '');
+
+    // Clean up double or dangling separators left by empty tokens, folder by folder
+    const path = expanded
+        .split('/')
+        .map(segment => segment.replace(/__+/g, '_').replace(/^[_\s]+|[_\s.]+$/g, ''))
+        .filter(Boolean)
+        .join('/');
+    return path || getSanitizedMeetingName(context.meetingTitle);
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DEFAULT_FILENAME_PATTERN, FILENAME_TOKENS, getSanitizedMeetingName, validateFilenamePattern, expandFilenamePattern };
+}
@@ -0,0 +1,253 @@
+// PDF Document - Minimal PDF writer used for the PDF export
+// Uses the built-in Helvetica fonts (no embedding), so text is limited to the
+// Windows-1252 character set; anything else is replaced with '?'. Callers can check
+// for that with findUnsupportedCharacters and tell the reader.
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard AFM metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Windows-1252 code points 0x80-0x9F that differ from Latin-1
+const CP1252_SPECIALS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86,
+    '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C,
+    'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+    '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+    'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+class PdfDocument {
+    constructor({ title = '', pageWidth = 612, pageHeight = 792, margin = 72 } = {}) {
+        this.title = title;
+        this.pageWidth = pageWidth;
+        this.pageHeight = pageHeight;
+        this.margin = margin;
+        this.pages = [];
+        this.cursorY = 0;
+        this.addPage();
+    }
+
+    // The Windows-1252 byte for one character (as a binary string), or null when there is none
+    static encodeChar(char) {
+        const code = char.codePointAt(0);
+        if (CP1252_SPECIALS[char] !== undefined) {
+            return String.fromCharCode(CP1252_SPECIALS[char]);
+        } else if ((code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF)) {
+            return char;
+        } else if (code === 0x09 || code === 0x0A || code === 0x0D) {
+            return ' ';
+        }
+        return null;
+    }
+
+    // Map a string to Windows-1252 bytes (as a binary string)
+    static encodeText(text) {
+        let encoded = '';
+        for (const char of String(text ?? '')) {
+            encoded += PdfDocument.encodeChar(char) ?? '?';
+        }
+        return encoded;
+    }
+
+    // Characters that encodeText would replace with '?', each listed once
+    static findUnsupportedCharacters(text) {
+        return [...new Set([...String(text ?? '')].filter(char => PdfDocument.encodeChar(char) === null))];
+    }
+
+    static escapeString(encoded) {
+        return encoded.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+    }
+
+    // Width in points of already-encoded text; bold is approximated from the regular metrics
+    static measure(encoded, size, bold = false) {
+        let units = 0;
+        for (let i = 0; i < encoded.length; i++) {
+            const code = encoded.charCodeAt(i);
+            units += (code >= 32 && code <= 126) ? HELVETICA_WIDTHS[code - 32] : 556;
+        }
+        return (units * size / 1000) * (bold ? 1.06 : 1);
+    }
+
+    static colorOperator(color = [0, 0, 0]) {
+        return `${color.map(c => (c / 255).toFixed(3)).join(' ')} rg`;
+    }
+
+    get contentWidth() {
+        return this.pageWidth - this.margin * 2;
+    }
+
+    get currentPage() {
+        return this.pages[this.pages.length - 1];
+    }
+
+    addPage() {
+        this.pages.push({ operations: [] });
+        this.cursorY = this.pageHeight - this.margin;
+        return this;
+    }
+
+    // Start a new page unless the cursor can still fit the requested height
+    ensureSpace(height) {
+        if (this.cursorY - height < this.margin) {
+            this.addPage();
+        }
+        return this;
+    }
+
+    moveDown(points) {
+        this.cursorY -= points;
+        return this;
+    }
+
+    // Draw a single line of text runs at an absolute position on a page
+    drawRuns(pageIndex, x, y, runs) {
+        const operations = this.pages[pageIndex].operations;
+        let offsetX = x;
+        for (const run of runs) {
+            const size = run.size || 11;
+            const encoded = PdfDocument.encodeText(run.text);
+            operations.push(`BT /${run.bold ? 'F2' : 'F1'} ${size} Tf ${PdfDocument.colorOperator(run.color)} ${offsetX.toFixed(2)} ${y.toFixed(2)} Td (${PdfDocument.escapeString(encoded)}) Tj ET`);
+            offsetX += PdfDocument.measure(encoded, size, run.bold);
+        }
+        return this;
+    }
+
+    // Width of a line of runs, used for centering and right alignment
+    measureRuns(runs) {
+        return runs.reduce((sum, run) => sum + PdfDocument.measure(PdfDocument.encodeText(run.text), run.size || 11, run.bold), 0);
+    }
+
+    // Write one line of runs at the cursor (no wrapping)
+    writeRuns(runs, { align = 'left', spaceBefore = 0, spaceAfter = 0, lineHeight } = {}) {
+        const size = Math.max(...runs.map(run => run.size || 11));
+        const height = lineHeight || size * 1.4;
+        this.moveDown(spaceBefore).ensureSpace(height);
+        this.cursorY -= height;
+
+        let x = this.margin;
+        if (align === 'center') {
+            x = (this.pageWidth - this.measureRuns(runs)) / 2;
+        } else if (align === 'right') {
+            x = this.pageWidth - this.margin - this.measureRuns(runs);
+        }
+        this.drawRuns(this.pages.length - 1, x, this.cursorY + (height - size) / 2, runs);
+        return this.moveDown(spaceAfter);
+    }
+
+    // Split a word wider than maxWidth (a long URL or id) into pieces that fit
+    static breakWord(word, size, bold, maxWidth) {
+        const pieces = [];
+        let piece = '';
+        let width = 0;
+        for (const char of word) {
+            const charWidth = PdfDocument.measure(PdfDocument.encodeText(char), size, bold);
+            if (piece && width + charWidth > maxWidth) {
+                pieces.push(piece);
+                piece = '';
+                width = 0;
+            }
+            piece += char;
+            width += charWidth;
+        }
+        if (piece) pieces.push(piece);
+        return pieces;
+    }
+
+    // Split text into lines that fit within maxWidth
+    wrapText(text, size, bold, maxWidth) {
+        const lines = [];
+        for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+            let line = '';
+            for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+                const candidate = line ? `${line} ${word}` : word;
+                if (PdfDocument.measure(PdfDocument.encodeText(candidate), size, bold) <= maxWidth) {
+                    line = candidate;
+                    continue;
+                }
+                if (line) lines.push(line);
+                // The last piece of a broken word starts the next line
+                const pieces = PdfDocument.breakWord(word, size, bold, maxWidth);
+                lines.push(...pieces.slice(0, -1));
+                line = pieces[pieces.length - 1];
+            }
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    // Write wrapped text at the cursor, continuing onto new pages as needed
+    writeParagraph(text, { size = 11, bold = false, color, indent = 0, spaceBefore = 0, spaceAfter = 0, align = 'left' } = {}) {
+        const lineHeight = size * 1.4;
+        const lines = this.wrapText(text, size, bold, this.contentWidth - indent);
+        this.moveDown(spaceBefore);
+        for (const line of lines) {
+            this.ensureSpace(lineHeight);
+            this.cursorY -= lineHeight;
+            const run = { text: line, size, bold, color };
+            let x = this.margin + indent;
+            if (align === 'center') {
+                x = (this.pageWidth - this.measureRuns([run])) / 2;
+            }
+            this.drawRuns(this.pages.length - 1, x, this.cursorY + (lineHeight - size) / 2, [run]);
+        }
+        return this.moveDown(spaceAfter);
+    }
+
+    // Build the PDF; decoratePage(pdf, pageIndex, pageCount) can add headers and footers
+    generate(decoratePage = null) {
+        if (decoratePage) {
+            this.pages.forEach((_, index) => decoratePage(this, index, this.pages.length));
+        }
+
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        const infoId = addObject(`<< /Title (${PdfDocument.escapeString(PdfDocument.encodeText(this.title))}) /Producer (Teams Captions Saver) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+        const pageIds = this.pages.map(page => {
+            const stream = page.operations.join('\n');
+            const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+            return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.pageWidth} ${this.pageHeight}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`);
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        // All content is single-byte, so string length equals byte offset
+        let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+        const offsets = [];
+        objects.forEach((body, index) => {
+            offsets.push(output.length);
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        });
+
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(output.length);
+        for (let i = 0; i < output.length; i++) {
+            bytes[i] = output.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfDocument;
+}
@@ -8,12 +8,70 @@ const UI_ELEMENTS = {
     saveButton: document.getElementById('saveButton'),
     saveDropdownButton: document.getElementById('saveDropdownButton'),
     saveOptions: document.getElementById('saveOptions'),
-    speakerAliasList: document.getElementById('speaker-alias-list')
+    speakerAliasList: document.getElementById('speaker-alias-list'),
+    filenamePattern: document.getElementById('filenamePattern'),
+    filenamePreview: document.getElementById('filenamePreview'),
+    filenamePatternErrors: document.getElementById('filenamePatternErrors'),
+    filenameTokens: document.getElementById('filenameTokens'),
+    timestampFormat: document.getElementById('timestampFormat'),
+    timestampTimezone: document.getElementById('timestampTimezone'),
+    finalCaptionsOnly: document.getElementById('finalCaptionsOnly'),
+    autoSaveFormats: document.getElementById('autoSaveFormats'),
+    checkpointIntervalMinutes: document.getElementById('checkpointIntervalMinutes'),
+    rejoinMergeMinutes: document.getElementById('rejoinMergeMinutes'),
+    templateSelect: document.getElementById('templateSelect'),
+    templateLabel: document.getElementById('templateLabel'),
+    templateExtension: document.getElementById('templateExtension'),
+    templateBody: document.getElementById('templateBody'),
+    templateError: document.getElementById('templateError'),
+    templateSaveButton: document.getElementById('templateSaveButton'),
+    templateDeleteButton: document.getElementById('templateDeleteButton'),
+    templateResetButton: document.getElementById('templateResetButton'),
+    recordingUrl: document.getElementById('recordingUrl'),
+    recordingStatus: document.getElementById('recordingStatus'),
+    recordingUrlError: document.getElementById('recordingUrlError'),
+    diagnostics: document.getElementById('diagnostics'),
+    resumeInfo: document.getElementById('resume-info'),
+    recoveryContainer: document.getElementById('recovery-container'),
+    recoveryMessage: document.getElementById('recovery-message'),
+    recoverySaveButton: document.getElementById('recoverySaveButton'),
+    recoveryViewButton: document.getElementById('recoveryViewButton'),
+    recoveryDiscardButton: document.getElementById('recoveryDiscardButton')
 };
 
 
 let currentDefaultFormat = 'md';
-let extensionConfig = null;
+let extensionConfig = null; // The packaged config.json
+let recoveryJournalKey = null; // Backup journal offered for recovery
+
+// Names used in save status messages and the auto-save format list
+const SAVE_FORMAT_LABELS = {
+    md: 'Markdown',
+    vault: 'Vault note',
+    txt: 'TXT',
+    json: 'JSON',
+    yaml: 'YAML',
+    vtt: 'WebVTT',
+    srt: 'SRT',
+    docx: 'Word',
+    html: 'HTML',
+    pdf: 'PDF',
+    csv: 'CSV',
+    xlsx: 'Excel',
+    confluence: 'Confluence',
+    jira: 'Jira markup',
+    mediawiki: 'MediaWiki',
+    'attendance-md': 'attendance report (Markdown)',
+    'attendance-csv': 'attendance report (CSV)',
+    eml: 'follow-up email draft',
+    prompts: 'AI prompt pack',
+    bundle: 'ZIP bundle'
+};
+
+function getSaveFormatLabel(format, config) {
+    const template = getExportTemplate(config.exportTemplates, format);
+    return SAVE_FORMAT_LABELS[format] || (template ? template.label || getTemplateId(format) : format.toUpperCase());
+}
 
 // --- Error Handling ---
 function safeExecute(fn, context = '', fallback = null) {
@@ -38,19 +96,44 @@ async function getActiveTeamsTab() {
     return teamsTab || null;
 }
 
-async function formatTranscript(transcript, aliases, type = 'standard') {
-    const processed = transcript.map(entry => ({
+// Copy types that render the full document (details, attendee table, speaker turns)
+const DOCUMENT_FORMATTERS = {
+    formatted: formatAsClipboardHtml,
+    confluence: formatAsConfluence,
+    jira: formatAsJiraWiki,
+    mediawiki: formatAsMediaWiki
+};
+
+// One plain-text line per caption, after the marker where the meeting was rejoined
+function formatTranscriptLine(entry) {
+    const marker = entry.Reconnected ? `--- ${describeReconnection(entry.Reconnected)} ---\n` : '';
+    return `${marker}[${entry.Time}] ${entry.Name}: ${entry.Text}`;
+}
+
+async function formatTranscript(transcript, aliases, type = 'standard', meeting = {}) {
+    const settings = await chrome.storage.sync.get(['timestampFormat', 'timestampTimezone', 'finalCaptionsOnly']);
+    const { meetingRecording = null } = await chrome.storage.session.get('meetingRecording');
+    const timestampOptions = getTimestampOptions(settings, transcript, meeting.recordingStartTime, meetingRecording);
+    // Older transcripts have no FinalizedAt and count as final
+    const captions = settings.finalCaptionsOnly ? transcript.filter(entry => entry.FinalizedAt !== null) : transcript;
+    const processed = applyTimestampFormat(captions, timestampOptions).map(entry => ({
         ...entry,
-        Name: aliases[entry.Name] || entry.Name
+        Name: getAliasDisplayName(aliases[entry.Name]) || entry.Name
     }));
 
+    if (DOCUMENT_FORMATTERS[type]) {
+        const timedReport = applyTimestampFormatToReport(meeting.attendeeReport || null, timestampOptions);
+        const aliasedReport = applyAliasesToAttendeeReport(timedReport, aliases);
+        return DOCUMENT_FORMATTERS[type](processed, aliasedReport, meeting.meetingTitle, meeting.recordingStartTime);
+    }
+
     if (type === 'ai') {
         const { aiInstructions: instructions } = await chrome.storage.sync.get('aiInstructions');
-        const transcriptText = processed.map(entry => `[${entry.Time}] ${entry.Name}: ${entry.Text}`).join('\n\n');
+        const transcriptText = processed.map(formatTranscriptLine).join('\n\n');
         return instructions ? `${instructions}\n\n---\n\n${transcriptText}` : transcriptText;
     }
 
-    return processed.map(entry => `[${entry.Time}] ${entry.Name}: ${entry.Text}`).join('\n');
+    return processed.map(formatTranscriptLine).join('\n');
 }
 
 // --- UI Update Functions ---
@@ -107,12 +190,59 @@ function updateButtonStates(hasData) {
     buttons.forEach(btn => btn.disabled = !hasData);
 }
 
-function updateSaveButtonText(format) {
+function updateSaveButtonText(format, config) {
     const formatLabels = {
         md: 'Save as Markdown',
-        txt: 'Save as TXT'
+        vault: 'Save as Vault Note',
+        txt: 'Save as TXT',
+        json: 'Save as JSON',
+        yaml: 'Save as YAML',
+        vtt: 'Save as WebVTT',
+        srt: 'Save as SRT',
+        docx: 'Save as Word',
+        html: 'Save as HTML',
+        pdf: 'Save as PDF',
+        csv: 'Save as CSV',
+        xlsx: 'Save as Excel',
+        confluence: 'Save for Confluence',
+        jira: 'Save as Jira Markup',
+        mediawiki: 'Save as MediaWiki',
+        'attendance-md': 'Save Attendance (.md)',
+        'attendance-csv': 'Save Attendance (.csv)',
+        eml: 'Save Follow-up Email',
+        prompts: 'Save AI Prompt Pack',
+        bundle: 'Save Bundle (.zip)'
     };
-    UI_ELEMENTS.saveButton.textContent = formatLabels[format] || `Save as ${format.toUpperCase()}`;
+    const template = getExportTemplate(config.exportTemplates, format);
+    UI_ELEMENTS.saveButton.textContent = formatLabels[format] || (template ? `Save as ${template.label || getTemplateId(format)}` : `Save as ${format.toUpperCase()}`);
+}
+
+// Add one save option per custom template, above the bundle option, replacing any shown before.
+// Templates that don't parse are listed disabled, with the error as tooltip.
+function renderTemplateSaveOptions(config) {
+    UI_ELEMENTS.saveOptions.querySelectorAll('.template-option').forEach(element => element.remove());
+    const templates = Object.entries(config.exportTemplates || {});
+    if (!templates.length) return;
+    const templateErrors = getTemplateErrors(config.exportTemplates);
+
+    const bundleDivider = UI_ELEMENTS.saveOptions.querySelector('.dropdown-divider');
+    const divider = document.createElement('div');
+    divider.className = 'dropdown-divider template-option';
+    UI_ELEMENTS.saveOptions.insertBefore(divider, bundleDivider);
+
+    templates.forEach(([id, template]) => {
+        const option = document.createElement('a');
+        option.href = '#';
+        option.className = 'template-option';
+        option.dataset.format = `${TEMPLATE_FORMAT_PREFIX}${id}`;
+        option.textContent = `Save as ${template?.label || id} (.${template?.extension || 'txt'})`;
+        if (templateErrors[id]) {
+            option.classList.add('disabled');
+            option.title = `Template error: ${templateErrors[id]}`;
+            option.textContent += ' - template error';
+        }
+        UI_ELEMENTS.saveOptions.insertBefore(option, bundleDivider);
+    });
 }
 
 async function renderSpeakerAliases(tab) {
@@ -143,14 +273,13 @@ async function renderSpeakerAliases(tab) {
 }
 
 // --- Settings Management ---
+// The templates can be edited while the popup is open, so they're read from settings each time
 async function getExtensionConfig() {
-    if (extensionConfig) {
-        return extensionConfig;
+    if (!extensionConfig) {
+        const response = await fetch(chrome.runtime.getURL('config.json'));
+        extensionConfig = await response.json();
     }
-
-    const response = await fetch(chrome.runtime.getURL('config.json'));
-    extensionConfig = await response.json();
-    return extensionConfig;
+    return withStoredExportTemplates(extensionConfig);
 }
 
 async function loadSettings() {
@@ -159,18 +288,350 @@ async function loadSettings() {
         chrome.storage.sync.get('autoEnableCaptions'),
         chrome.storage.sync.get('defaultSaveFormat')
     ]);
-    const allowedFormats = config.allowedSaveFormats || ['md', 'txt'];
+    const allowedFormats = getAvailableSaveFormats(config);
     const shouldAutoEnable = (autoEnableCaptions ?? config.autoEnableCaptions) === true;
     const storedFormat = defaultSaveFormat && allowedFormats.includes(defaultSaveFormat) ? defaultSaveFormat : null;
 
     currentDefaultFormat = storedFormat || config.defaultSaveFormat || allowedFormats[0] || 'md';
-    updateSaveButtonText(currentDefaultFormat);
+    renderTemplateSaveOptions(config);
+    updateSaveButtonText(currentDefaultFormat, config);
+    renderTemplateEditor(config);
+    await loadFilenamePattern(config);
+    await loadTimestampSettings(config);
+    await loadCaptionSettings(config);
+    await loadAutoSaveFormats(config);
+    await loadCheckpointInterval(config);
+    await loadRejoinMergeWindow(config);
+    await loadMeetingRecording();
 
     if (UI_ELEMENTS.manualStartInfo) {
         UI_ELEMENTS.manualStartInfo.style.display = shouldAutoEnable ? 'none' : 'block';
     }
 }
 
+// --- Filename Pattern ---
+// A made-up 45-minute meeting that started 45 minutes ago, so every token shows a value
+function getFilenamePreviewContext() {
+    const savedAt = new Date();
+    const startedAt = new Date(savedAt.getTime() - 45 * 60000);
+    return {
+        meetingTitle: 'Weekly Sync | Microsoft Teams',
+        format: 'md',
+        transcript: [
+            { Name: 'Alice Smith', StartedAt: startedAt.toISOString() },
+            { Name: 'Bob Jones', StartedAt: startedAt.toISOString() },
+            { Name: 'Carol White', StartedAt: savedAt.toISOString() }
+        ],
+        attendeeReport: {
+            totalUniqueAttendees: 4,
+            attendeeList: ['Alice Smith', 'Bob Jones', 'Carol White', 'Dan Brown'],
+            currentAttendees: [{ name: 'Alice Smith', role: 'Organizer' }]
+        },
+        recordingStartTime: startedAt.toISOString(),
+        savedAt
+    };
+}
+
+// Show the preview or the reasons the pattern is rejected; returns whether it's valid
+function renderFilenamePreview() {
+    const pattern = UI_ELEMENTS.filenamePattern.value;
+    const errors = validateFilenamePattern(pattern);
+
+    UI_ELEMENTS.filenamePattern.classList.toggle('invalid', errors.length > 0);
+    UI_ELEMENTS.filenamePatternErrors.textContent = errors.join(' ');
+    UI_ELEMENTS.filenamePreview.textContent = errors.length > 0
+        ? ''
+        : `Example: Downloads/${expandFilenamePattern(pattern, getFilenamePreviewContext())}.md`;
+    return errors.length === 0;
+}
+
+function renderFilenameTokens() {
+    UI_ELEMENTS.filenameTokens.innerHTML = 'Tokens: ' + Object.entries(FILENAME_TOKENS)
+        .map(([name, description]) => `<code title="${escapeHtml(description)}">{${name}}</code>`)
+        .join(' ') + ' - use / for subfolders.';
+}
+
+async function loadFilenamePattern(config) {
+    const { filenamePattern } = await chrome.storage.sync.get('filenamePattern');
+    UI_ELEMENTS.filenamePattern.value = filenamePattern || config.filenamePattern || DEFAULT_FILENAME_PATTERN;
+    renderFilenameTokens();
+    renderFilenamePreview();
+}
+
+// --- Timestamp Format ---
+async function loadTimestampSettings(config) {
+    const stored = await chrome.storage.sync.get(['timestampFormat', 'timestampTimezone']);
+    const { format, showTimezone } = getTimestampOptions({
+        timestampFormat: stored.timestampFormat ?? config.timestampFormat,
+        timestampTimezone: stored.timestampTimezone ?? config.timestampTimezone
+    });
+
+    UI_ELEMENTS.timestampFormat.innerHTML = Object.entries(TIMESTAMP_FORMATS)
+        .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`)
+        .join('');
+    UI_ELEMENTS.timestampFormat.value = format;
+    UI_ELEMENTS.timestampTimezone.checked = showTimezone;
+    updateTimezoneToggle();
+}
+
+// ISO times carry their offset and elapsed times have no zone
+function updateTimezoneToggle() {
+    UI_ELEMENTS.timestampTimezone.disabled = !['12hr', '24hr'].includes(UI_ELEMENTS.timestampFormat.value);
+}
+
+// --- Caption Lifecycle ---
+async function loadCaptionSettings(config) {
+    const { finalCaptionsOnly } = await chrome.storage.sync.get('finalCaptionsOnly');
+    UI_ELEMENTS.finalCaptionsOnly.checked = (finalCaptionsOnly ?? config.finalCaptionsOnly) === true;
+}
+
+// --- Auto-save Formats ---
+// One checkbox per save format; with none ticked, auto-save uses the default save format
+async function loadAutoSaveFormats(config) {
+    const { autoSaveFormats } = await chrome.storage.sync.get('autoSaveFormats');
+    const selected = autoSaveFormats ?? config.autoSaveFormats ?? [];
+
+    UI_ELEMENTS.autoSaveFormats.innerHTML = getAvailableSaveFormats(config)
+        .map(format => `<label><input type="checkbox" value="${escapeHtml(format)}"${selected.includes(format) ? ' checked' : ''}> ${escapeHtml(getSaveFormatLabel(format, config))}</label>`)
+        .join('');
+}
+
+async function saveAutoSaveFormats() {
+    const autoSaveFormats = [...UI_ELEMENTS.autoSaveFormats.querySelectorAll('input:checked')].map(input => input.value);
+    await chrome.storage.sync.set({ autoSaveFormats });
+}
+
+// --- Checkpoints ---
+async function loadCheckpointInterval(config) {
+    const { checkpointIntervalMinutes } = await chrome.storage.sync.get('checkpointIntervalMinutes');
+    UI_ELEMENTS.checkpointIntervalMinutes.value = Number(checkpointIntervalMinutes ?? config.checkpointIntervalMinutes) || 0;
+}
+
+// Whole minutes; anything else turns checkpoints off
+async function saveCheckpointInterval() {
+    const minutes = Math.max(0, Math.round(Number(UI_ELEMENTS.checkpointIntervalMinutes.value)) || 0);
+    UI_ELEMENTS.checkpointIntervalMinutes.value = minutes;
+    await chrome.storage.sync.set({ checkpointIntervalMinutes: minutes });
+}
+
+// --- Rejoining ---
+async function loadRejoinMergeWindow(config) {
+    const { rejoinMergeMinutes } = await chrome.storage.sync.get('rejoinMergeMinutes');
+    UI_ELEMENTS.rejoinMergeMinutes.value = Number(rejoinMergeMinutes ?? config.rejoinMergeMinutes) || 0;
+}
+
+// Whole minutes; anything else turns merging off
+async function saveRejoinMergeWindow() {
+    const minutes = Math.max(0, Math.round(Number(UI_ELEMENTS.rejoinMergeMinutes.value)) || 0);
+    UI_ELEMENTS.rejoinMergeMinutes.value = minutes;
+    await chrome.storage.sync.set({ rejoinMergeMinutes: minutes });
+}
+
+// --- Export Templates ---
+function renderTemplateEditor(config, selectedId = UI_ELEMENTS.templateSelect.value) {
+    const templates = config.exportTemplates;
+    UI_ELEMENTS.templateSelect.innerHTML = Object.entries(templates)
+        .map(([id, template]) => `<option value="${escapeHtml(id)}">${escapeHtml(template?.label || id)}</option>`)
+        .join('') + '<option value="">New template...</option>';
+    UI_ELEMENTS.templateSelect.value = Object.prototype.hasOwnProperty.call(templates, selectedId)
+        ? selectedId
+        : (Object.keys(templates)[0] ?? '');
+    fillTemplateEditor(templates);
+}
+
+function fillTemplateEditor(templates) {
+    const id = UI_ELEMENTS.templateSelect.value;
+    const template = id ? templates[id] : null;
+    UI_ELEMENTS.templateLabel.value = template?.label || '';
+    UI_ELEMENTS.templateExtension.value = template?.extension || 'md';
+    UI_ELEMENTS.templateBody.value = template ? getTemplateBody(template) : '';
+    UI_ELEMENTS.templateDeleteButton.disabled = !id;
+    renderTemplateError();
+}
+
+function readTemplateEditor() {
+    return {
+        label: UI_ELEMENTS.templateLabel.value.trim(),
+        extension: UI_ELEMENTS.templateExtension.value.trim().replace(/^\./, '').toLowerCase(),
+        body: UI_ELEMENTS.templateBody.value
+    };
+}
+
+function getTemplateEditorError() {
+    const template = readTemplateEditor();
+    if (!template.label) return 'Give the template a name.';
+    if (!/^[a-z0-9]{1,10}$/.test(template.extension)) return 'The file extension can only contain letters and digits.';
+    const error = getTemplateError(template);
+    return error ? `Template error: ${error}` : null;
+}
+
+// Shows why the template can't be saved, as it's typed; returns whether it can
+function renderTemplateError() {
+    const error = getTemplateEditorError();
+    UI_ELEMENTS.templateError.textContent = error || '';
+    UI_ELEMENTS.templateBody.classList.toggle('invalid', Boolean(error));
+    UI_ELEMENTS.templateSaveButton.disabled = Boolean(error);
+    return !error;
+}
+
+// Ids appear in `template:<id>` formats, so a new template gets one from its name that isn't taken
+function createTemplateId(label, templates) {
+    const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template';
+    let id = base;
+    for (let n = 2; Object.prototype.hasOwnProperty.call(templates, id); n++) {
+        id = `${base}-${n}`;
+    }
+    return id;
+}
+
+async function saveTemplate() {
+    if (!renderTemplateError()) return;
+    const { exportTemplates } = await getExtensionConfig();
+    const template = readTemplateEditor();
+    const id = UI_ELEMENTS.templateSelect.value || createTemplateId(template.label, exportTemplates);
+    await storeExportTemplates({ ...exportTemplates, [id]: template }, id);
+}
+
+async function deleteTemplate() {
+    const id = UI_ELEMENTS.templateSelect.value;
+    if (!id || !confirm(`Delete the "${UI_ELEMENTS.templateLabel.value || id}" template?`)) return;
+    const { exportTemplates } = await getExtensionConfig();
+    const { [id]: deleted, ...remaining } = exportTemplates;
+    await storeExportTemplates(remaining);
+}
+
+async function restoreDefaultTemplates() {
+    if (!confirm('Replace your templates with the ones the extension comes with?')) return;
+    await storeExportTemplates(extensionConfig.exportTemplates || {});
+}
+
+async function storeExportTemplates(exportTemplates, selectedId) {
+    try {
+        await chrome.storage.sync.set({ exportTemplates });
+    } catch (error) {
+        // Sync storage keeps each setting under 8 KB
+        UI_ELEMENTS.templateError.textContent = `Could not save the templates: ${error.message}`;
+        return;
+    }
+
+    const config = await getExtensionConfig();
+    if (!getAvailableSaveFormats(config).includes(currentDefaultFormat)) {
+        currentDefaultFormat = config.defaultSaveFormat || 'md';
+    }
+    renderTemplateSaveOptions(config);
+    updateSaveButtonText(currentDefaultFormat, config);
+    await loadAutoSaveFormats(config);
+    renderTemplateEditor(config, selectedId);
+}
+
+// --- Meeting Recording ---
+// The start comes from the meeting chat; the link is pasted here so exports can jump into the video
+async function loadMeetingRecording() {
+    const { meetingRecording = {} } = await chrome.storage.session.get('meetingRecording');
+    UI_ELEMENTS.recordingUrl.value = meetingRecording.url || '';
+    UI_ELEMENTS.recordingStatus.textContent = meetingRecording.startedAt
+        ? `Recording started at ${new Date(meetingRecording.startedAt).toLocaleTimeString()}. Captions link to that point in the video.`
+        : 'No recording detected yet. Open the meeting chat so the "Recording has started" message can be seen.';
+}
+
+function isRecordingUrl(value) {
+    try {
+        return ['https:', 'http:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+async function saveRecordingUrl() {
+    const url = UI_ELEMENTS.recordingUrl.value.trim();
+    if (url && !isRecordingUrl(url)) {
+        UI_ELEMENTS.recordingUrlError.textContent = 'Enter a full https:// link to the recording.';
+        return;
+    }
+    UI_ELEMENTS.recordingUrlError.textContent = '';
+    const { meetingRecording = {} } = await chrome.storage.session.get('meetingRecording');
+    await chrome.storage.session.set({ meetingRecording: { ...meetingRecording, url: url || null } });
+}
+
+// --- Diagnostics ---
+// The recent figures should stay flat however long the meeting runs
+function renderDiagnostics(performance) {
+    if (!performance || performance.updates === 0) return;
+    UI_ELEMENTS.diagnostics.textContent =
+        `${performance.transcriptLength} lines, ${performance.updates} caption updates. ` +
+        `Time per update: ${performance.recentAvgMsPerUpdate} ms recently, ${performance.avgMsPerUpdate} ms overall, ${performance.maxMsPerUpdate} ms max. ` +
+        `Entries/second: ${performance.recentEntriesPerSecond} recently, ${performance.entriesPerSecond} overall.`;
+}
+
+// --- Backup Recovery ---
+function renderResumeInfo(resumedCaptionCount) {
+    if (!resumedCaptionCount) return;
+    UI_ELEMENTS.resumeInfo.textContent = `Continuing the earlier capture of this meeting: ${resumedCaptionCount} lines were restored.`;
+    UI_ELEMENTS.resumeInfo.hidden = false;
+}
+
+// An unfinished backup that no open meeting will resume is left over from a crash or a closed tab.
+// Ones moved aside when another meeting started capturing are offered first, oldest first.
+async function checkOrphanedBackup() {
+    const [orphanKey] = await getOrphanedJournalKeys();
+    if (orphanKey) {
+        const { [orphanKey]: orphan } = await chrome.storage.local.get(orphanKey);
+        if (orphan) {
+            showRecoveryOffer(orphanKey, orphan);
+            return;
+        }
+    }
+
+    const { [JOURNAL_KEY]: journal } = await chrome.storage.local.get(JOURNAL_KEY);
+    if (!journal || journal.finishedAt || journal.lastSeq === 0) return;
+
+    const teamsTabs = await chrome.tabs.query({ url: 'https://teams.microsoft.com/*' });
+    for (const tab of teamsTabs) {
+        try {
+            const status = await chrome.tabs.sendMessage(tab.id, { message: "get_status" });
+            // Still being captured, or resumed as soon as captions are on
+            if (status?.capturing || (status?.isInMeeting && status.meetingIdentity === journal.meetingIdentity)) return;
+        } catch (error) {
+            // No content script in this tab
+        }
+    }
+
+    showRecoveryOffer(JOURNAL_KEY, journal);
+}
+
+function showRecoveryOffer(journalKey, journal) {
+    recoveryJournalKey = journalKey;
+    const lastBackup = journal.lastBackup ? new Date(journal.lastBackup).toLocaleString() : 'unknown';
+    UI_ELEMENTS.recoveryMessage.textContent =
+        `Unsaved transcript of "${getSanitizedMeetingName(journal.meetingTitle)}" found (last backup ${lastBackup}). The capture stopped unexpectedly.`;
+    UI_ELEMENTS.recoveryContainer.hidden = false;
+}
+
+async function handleRecovery(action) {
+    if (action === 'view') {
+        await chrome.runtime.sendMessage({ message: "view_journal_backup", journalKey: recoveryJournalKey });
+        return;
+    }
+    if (action === 'discard' && !confirm('Discard the unsaved transcript? This cannot be undone.')) {
+        return;
+    }
+
+    const response = action === 'save'
+        ? await chrome.runtime.sendMessage({ message: "save_journal_backup", format: currentDefaultFormat, journalKey: recoveryJournalKey })
+        : await chrome.runtime.sendMessage({ message: "discard_journal_backup", journalKey: recoveryJournalKey });
+    if (response?.success) {
+        UI_ELEMENTS.recoveryContainer.hidden = true;
+        if (action === 'save') {
+            UI_ELEMENTS.statusMessage.textContent = 'Recovered transcript saved.';
+            UI_ELEMENTS.statusMessage.style.color = '#28a745';
+        }
+        // Offer the next one, if there's more than one
+        await checkOrphanedBackup();
+    } else {
+        UI_ELEMENTS.recoveryMessage.textContent = `Could not save the transcript: ${response?.error || 'unknown error'}`;
+    }
+}
+
 // --- Event Handling ---
 function setupEventListeners() {
     if (UI_ELEMENTS.speakerAliasList) {
@@ -185,13 +646,46 @@ function setupEventListeners() {
         });
     }
 
-    UI_ELEMENTS.saveButton.addEventListener('click', async () => {
-        const tab = await getActiveTeamsTab();
-        if (tab) {
-            chrome.tabs.sendMessage(tab.id, { message: "return_transcript", format: currentDefaultFormat });
+    UI_ELEMENTS.filenamePattern.addEventListener('input', renderFilenamePreview);
+    UI_ELEMENTS.filenamePattern.addEventListener('change', async () => {
+        // Invalid patterns stay in the box for fixing but are never stored
+        if (renderFilenamePreview()) {
+            await chrome.storage.sync.set({ filenamePattern: UI_ELEMENTS.filenamePattern.value.trim() });
         }
     });
 
+    UI_ELEMENTS.recordingUrl.addEventListener('change', saveRecordingUrl);
+
+    UI_ELEMENTS.recoverySaveButton.addEventListener('click', () => handleRecovery('save'));
+    UI_ELEMENTS.recoveryViewButton.addEventListener('click', () => handleRecovery('view'));
+    UI_ELEMENTS.recoveryDiscardButton.addEventListener('click', () => handleRecovery('discard'));
+
+    UI_ELEMENTS.timestampFormat.addEventListener('change', async () => {
+        updateTimezoneToggle();
+        await chrome.storage.sync.set({ timestampFormat: UI_ELEMENTS.timestampFormat.value });
+    });
+    UI_ELEMENTS.timestampTimezone.addEventListener('change', async () => {
+        await chrome.storage.sync.set({ timestampTimezone: UI_ELEMENTS.timestampTimezone.checked });
+    });
+    UI_ELEMENTS.finalCaptionsOnly.addEventListener('change', async () => {
+        await chrome.storage.sync.set({ finalCaptionsOnly: UI_ELEMENTS.finalCaptionsOnly.checked });
+    });
+    UI_ELEMENTS.autoSaveFormats.addEventListener('change', saveAutoSaveFormats);
+    UI_ELEMENTS.checkpointIntervalMinutes.addEventListener('change', saveCheckpointInterval);
+    UI_ELEMENTS.rejoinMergeMinutes.addEventListener('change', saveRejoinMergeWindow);
+
+    UI_ELEMENTS.templateSelect.addEventListener('change', async () => {
+        fillTemplateEditor((await getExtensionConfig()).exportTemplates);
+    });
+    [UI_ELEMENTS.templateLabel, UI_ELEMENTS.templateExtension, UI_ELEMENTS.templateBody].forEach(input => {
+        input.addEventListener('input', renderTemplateError);
+    });
+    UI_ELEMENTS.templateSaveButton.addEventListener('click', saveTemplate);
+    UI_ELEMENTS.templateDeleteButton.addEventListener('click', deleteTemplate);
+    UI_ELEMENTS.templateResetButton.addEventListener('click', restoreDefaultTemplates);
+
+    UI_ELEMENTS.saveButton.addEventListener('click', () => handleSave({ dataset: { format: currentDefaultFormat } }));
+
     setupDropdown(UI_ELEMENTS.copyButton, UI_ELEMENTS.copyDropdownButton, UI_ELEMENTS.copyOptions, handleCopy);
     setupDropdown(null, UI_ELEMENTS.saveDropdownButton, UI_ELEMENTS.saveOptions, handleSave);
 
@@ -229,8 +723,14 @@ async function handleCopy(target) {
         const response = await chrome.tabs.sendMessage(tab.id, { message: "get_transcript_for_copying" });
         if (response?.transcriptArray) {
             const { speakerAliases = {} } = await chrome.storage.session.get('speakerAliases');
-            const formattedText = await formatTranscript(response.transcriptArray, speakerAliases, copyType);
-            await navigator.clipboard.writeText(formattedText);
+            const formattedText = await formatTranscript(response.transcriptArray, speakerAliases, copyType, response);
+            if (copyType === 'formatted') {
+                // HTML for Outlook/Word/OneNote, the standard transcript for plain-text targets
+                const plainText = await formatTranscript(response.transcriptArray, speakerAliases, 'standard', response);
+                await writeRichClipboard(formattedText, plainText);
+            } else {
+                await navigator.clipboard.writeText(formattedText);
+            }
             UI_ELEMENTS.statusMessage.textContent = "Copied to clipboard!";
             UI_ELEMENTS.statusMessage.style.color = '#28a745';
         }
@@ -245,19 +745,25 @@ async function handleSave(target) {
     if (!format) return;
 
     const config = await getExtensionConfig();
-    const allowedFormats = config.allowedSaveFormats || ['md', 'txt'];
+    const allowedFormats = getAvailableSaveFormats(config);
     if (!allowedFormats.includes(format)) {
+        if (target.classList?.contains('disabled')) {
+            UI_ELEMENTS.statusMessage.textContent = target.title;
+            UI_ELEMENTS.statusMessage.style.color = '#dc3545';
+        }
         return;
     }
 
     const tab = await getActiveTeamsTab();
     if (tab) {
-        const formatLabels = {
-            md: 'Markdown',
-            txt: 'TXT'
-        };
-        UI_ELEMENTS.statusMessage.textContent = `Saving as ${formatLabels[format] || format.toUpperCase()}...`;
-        chrome.tabs.sendMessage(tab.id, { message: "return_transcript", format });
+        const label = getSaveFormatLabel(format, config);
+        UI_ELEMENTS.statusMessage.textContent = `Saving as ${label}...`;
+        const response = await chrome.tabs.sendMessage(tab.id, { message: "return_transcript", format })
+            .catch(error => ({ success: false, error: error.message }));
+        if (response?.success === false) {
+            UI_ELEMENTS.statusMessage.textContent = `Could not save as ${label}: ${response.error || 'unknown error'}`;
+            UI_ELEMENTS.statusMessage.style.color = '#dc3545';
+        }
     }
 }
 
@@ -265,6 +771,7 @@ async function handleSave(target) {
 async function initializePopup() {
     await loadSettings();
     setupEventListeners();
+    checkOrphanedBackup();
 
     const tab = await getActiveTeamsTab();
     if (!tab) {
@@ -280,6 +787,8 @@ async function initializePopup() {
             // Enable buttons if we have either captions or attendees
             const hasData = status.captionCount > 0 || (status.attendeeCount > 0 && status.isInMeeting === false);
             updateButtonStates(hasData);
+            renderDiagnostics(status.captionPerformance);
+            renderResumeInfo(status.resumedCaptionCount);
             if (status.captionCount > 0) {
                 renderSpeakerAliases(tab);
             }
@@ -295,7 +804,7 @@ async function initializePopup() {
             try {
                 await chrome.scripting.executeScript({
                     target: { tabId: tab.id },
-                    files: ['content_script.js']
+                    files: ['backupJournal.js', 'content_script.js']
                 });
                 console.log("Content script injected successfully. Retrying connection...");
                 // Retry after injection
@@ -0,0 +1,53 @@
+// Rich Clipboard - Copies transcripts as HTML (for Outlook, Word, OneNote) with a plain-text fallback
+// Shared by the popup and the viewer. Depends on analytics.js and wikiMarkup.js.
+
+// Mail and Office clients drop <style> blocks, so everything is styled inline
+const CLIPBOARD_STYLES = {
+    table: 'border-collapse: collapse; margin: 8px 0;',
+    cell: 'border: 1px solid #c8c8c8; padding: 4px 8px; text-align: left;',
+    header: 'border: 1px solid #c8c8c8; padding: 4px 8px; text-align: left; background: #f0f0f0;',
+    time: 'color: #767676; font-weight: normal;',
+    turn: 'margin: 0 0 10px 0;',
+    reconnected: 'margin: 0 0 10px 0; color: #767676; font-style: italic;'
+};
+
+function formatAsClipboardHtml(transcript, attendeeReport, meetingTitle, recordingStartTime) {
+    const doc = buildWikiDocument(transcript, attendeeReport, meetingTitle, recordingStartTime);
+    const parts = [`<h1>${escapeXml(doc.title)}</h1>`];
+
+    parts.push(`<p>${doc.details.map(([label, value]) => `<b>${label}:</b> ${escapeXml(value)}`).join('<br>')}</p>`);
+
+    if (doc.attendeeRows.length) {
+        parts.push('<h2>Attendees</h2>');
+        const header = `<tr>${doc.attendeeHeaders.map(h => `<th style="${CLIPBOARD_STYLES.header}">${h}</th>`).join('')}</tr>`;
+        const rows = doc.attendeeRows.map(row => `<tr>${row.map(cell => `<td style="${CLIPBOARD_STYLES.cell}">${escapeXml(cell)}</td>`).join('')}</tr>`);
+        parts.push(`<table style="${CLIPBOARD_STYLES.table}">${header}${rows.join('')}</table>`);
+    }
+
+    parts.push('<h2>Transcript</h2>');
+    doc.turns.forEach(turn => {
+        if (turn.reconnected) parts.push(`<p style="${CLIPBOARD_STYLES.reconnected}">${escapeXml(turn.reconnected)}</p>`);
+        parts.push(`<p style="${CLIPBOARD_STYLES.turn}"><b>${escapeXml(turn.speaker)}</b> <span style="${CLIPBOARD_STYLES.time}">[${escapeXml(turn.time)}]</span><br>${turn.lines.map(escapeXml).join('<br>')}</p>`);
+    });
+
+    return `<div>${parts.join('\n')}</div>`;
+}
+
+// Put both text/html and text/plain on the clipboard; apps that only read text get the plain version
+async function writeRichClipboard(html, plainText) {
+    if (typeof ClipboardItem === 'undefined' || !navigator.clipboard.write) {
+        await navigator.clipboard.writeText(plainText);
+        return;
+    }
+    await navigator.clipboard.write([
+        new ClipboardItem({
+            'text/html': new Blob([html], { type: 'text/html' }),
+            'text/plain': new Blob([plainText], { type: 'text/plain' })
+        })
+    ]);
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { formatAsClipboardHtml, writeRichClipboard };
+}
@@ -1,21 +1,13 @@
-// --- Utility Functions ---
-function getSanitizedMeetingName(fullTitle) {
-    if (!fullTitle) return "Meeting";
-    const parts = fullTitle.split('|');
-    // Handles titles like "Meeting Name | Microsoft Teams" or "Location | Meeting | Teams"
-    const meetingName = parts.length > 2 ? parts[1] : parts[0];
-    const cleanedName = meetingName.replace('Microsoft Teams', '').trim();
-    // Replace characters forbidden in filenames
-    return cleanedName.replace(/[<>:"/\\|?*\x00-\x1F]/g, '_') || "Meeting";
-}
+importScripts('zipArchive.js', 'pdfDocument.js', 'analytics.js', 'templateEngine.js', 'exportTemplates.js', 'wikiMarkup.js', 'filenamePattern.js', 'timestampFormat.js', 'backupJournal.js');
 
+// --- Utility Functions ---
 
 function applyAliasesToTranscript(transcriptArray, aliases = {}) {
     if (Object.keys(aliases).length === 0) {
         return transcriptArray;
     }
     return transcriptArray.map(entry => {
-        const newName = aliases[entry.Name]?.trim();
+        const newName = getAliasDisplayName(aliases[entry.Name]);
         return {
             ...entry,
             Name: newName || entry.Name
@@ -23,31 +15,6 @@ function applyAliasesToTranscript(transcriptArray, aliases = {}) {
     });
 }
 
-function applyAliasesToAttendeeReport(attendeeReport, aliases = {}) {
-    if (!attendeeReport || Object.keys(aliases).length === 0) {
-        return attendeeReport;
-    }
-
-    // Create a new report with aliased names
-    const aliasedReport = {
-        ...attendeeReport,
-        attendeeList: attendeeReport.attendeeList.map(name => {
-            const aliasedName = aliases[name]?.trim();
-            return aliasedName || name;
-        }),
-        currentAttendees: attendeeReport.currentAttendees.map(attendee => ({
-            ...attendee,
-            name: aliases[attendee.name]?.trim() || attendee.name
-        })),
-        attendeeHistory: attendeeReport.attendeeHistory.map(event => ({
-            ...event,
-            name: aliases[event.name]?.trim() || event.name
-        }))
-    };
-    
-    return aliasedReport;
-}
-
 const CONFIG_URL = chrome.runtime.getURL('config.json');
 let cachedConfig = null;
 
@@ -58,9 +25,20 @@ async function loadExtensionConfig() {
 
     const response = await fetch(CONFIG_URL);
     cachedConfig = await response.json();
+    // Broken default templates are left out of the save formats rather than failing each save
+    Object.entries(getTemplateErrors(cachedConfig.exportTemplates)).forEach(([id, error]) => {
+        console.warn(`[Service Worker] Export template "${id}" is disabled: ${error}`);
+    });
     return cachedConfig;
 }
 
+// The packaged config with the export templates from settings
+async function loadSaveConfig() {
+    return withStoredExportTemplates(await loadExtensionConfig());
+}
+
+const POPUP_EDITED_SETTINGS = ['filenamePattern', 'timestampFormat', 'timestampTimezone', 'finalCaptionsOnly', 'autoSaveFormats', 'checkpointIntervalMinutes', 'rejoinMergeMinutes', 'exportTemplates'];
+
 async function ensureDefaultSettings() {
     try {
         const config = await loadExtensionConfig();
@@ -68,11 +46,18 @@ async function ensureDefaultSettings() {
             autoEnableCaptions: config.autoEnableCaptions,
             autoSaveOnEnd: config.autoSaveOnEnd,
             defaultSaveFormat: config.defaultSaveFormat,
+            autoSaveFormats: config.autoSaveFormats,
+            checkpointIntervalMinutes: config.checkpointIntervalMinutes,
+            rejoinMergeMinutes: config.rejoinMergeMinutes,
             trackCaptions: config.trackCaptions,
             trackAttendees: config.trackAttendees,
             autoOpenAttendees: config.autoOpenAttendees,
             filenamePattern: config.filenamePattern,
-            timestampFormat: config.timestampFormat
+            timestampFormat: config.timestampFormat,
+            timestampTimezone: config.timestampTimezone,
+            finalCaptionsOnly: config.finalCaptionsOnly,
+            keepCaptionRevisions: config.keepCaptionRevisions,
+            exportTemplates: config.exportTemplates
         };
 
         const stored = await chrome.storage.sync.get(Object.keys(defaults));
@@ -80,12 +65,16 @@ async function ensureDefaultSettings() {
 
         for (const [key, value] of Object.entries(defaults)) {
             if (value === undefined) continue;
-            if (stored[key] !== value) {
+            // Settings edited in the popup only take the config value as a starting point
+            if (POPUP_EDITED_SETTINGS.includes(key) && stored[key] !== undefined) continue;
+            // Compare by value so list settings aren't rewritten on every start
+            if (JSON.stringify(stored[key]) !== JSON.stringify(value)) {
                 updates[key] = value;
             }
         }
 
-        if (config.allowedSaveFormats && !config.allowedSaveFormats.includes(defaults.defaultSaveFormat)) {
+        const saveConfig = { ...config, exportTemplates: stored.exportTemplates ?? config.exportTemplates };
+        if (config.allowedSaveFormats && !getAvailableSaveFormats(saveConfig).includes(defaults.defaultSaveFormat)) {
             console.warn('[Service Worker] Config default save format is not allowed. Falling back to first allowed format.');
             updates.defaultSaveFormat = config.allowedSaveFormats[0] || 'md';
         }
@@ -123,10 +112,26 @@ function formatAsTxt(transcript, attendeeReport) {
         content += '\n=== TRANSCRIPT ===\n';
     }
     
-    content += transcript.map(entry => `[${entry.Time}] ${entry.Name}: ${entry.Text}`).join('\n');
+    content += transcript.map(entry => (entry.Reconnected ? `--- ${describeReconnection(entry.Reconnected)} ---\n` : '') +
+        `[${entry.Time}] ${entry.Name}: ${entry.Text}`).join('\n');
     return content;
 }
 
+// Spaces and parentheses would end the link target early
+function formatMarkdownLink(text, url) {
+    return `[${text}](${url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+}
+
+// The caption time, linked to its moment in the recording when a recording URL is set
+function formatMarkdownTime(entry) {
+    return entry.RecordingLink ? formatMarkdownLink(entry.Time, entry.RecordingLink) : entry.Time;
+}
+
+// Later captions of a speaker turn get a play link of their own
+function formatMarkdownQuote(entry) {
+    return entry.RecordingLink ? `> ${entry.Text} ${formatMarkdownLink('▶', entry.RecordingLink)}` : `> ${entry.Text}`;
+}
+
 function formatAsMarkdown(transcript, attendeeReport) {
     let content = '';
     
@@ -144,24 +149,1297 @@ function formatAsMarkdown(transcript, attendeeReport) {
     
     let lastSpeaker = null;
     content += transcript.map(entry => {
-        if (entry.Name !== lastSpeaker) {
+        // A rejoin starts a new speaker turn
+        const marker = entry.Reconnected ? `\n*— ${describeReconnection(entry.Reconnected)} —*\n` : '';
+        if (entry.Name !== lastSpeaker || marker) {
             lastSpeaker = entry.Name;
-            return `\n**${entry.Name}** (${entry.Time}):\n> ${entry.Text}`;
+            return `${marker}\n**${entry.Name}** (${formatMarkdownTime(entry)}):\n> ${entry.Text}`;
         }
-        return `> ${entry.Text}`;
+        return formatMarkdownQuote(entry);
     }).join('\n').trim();
     
     return content;
 }
 
+// --- Subtitle Formatting (WebVTT / SRT) ---
+const CUE_TIMING = {
+    MIN_DURATION_MS: 1000,
+    MAX_DURATION_MS: 10000,
+    MS_PER_WORD: 400 // Used to estimate how long the last caption stays on screen
+};
+
+function formatCueTimestamp(ms, separator) {
+    const totalMs = Math.max(0, Math.round(ms));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const seconds = Math.floor((totalMs % 60000) / 1000);
+    const millis = totalMs % 1000;
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+function estimateCueDuration(text) {
+    const words = text.split(/\s+/).filter(Boolean).length;
+    return Math.min(CUE_TIMING.MAX_DURATION_MS, Math.max(CUE_TIMING.MIN_DURATION_MS, words * CUE_TIMING.MS_PER_WORD));
+}
+
+// Turns captions into cues with start/end offsets (ms) relative to the recording start.
+// A cue ends when the next caption starts, bounded by the min/max durations above.
+function buildSubtitleCues(transcript, recordingStartTime) {
+    const absoluteStarts = transcript.map(entry => Date.parse(entry.StartedAt));
+    const firstKnownStart = absoluteStarts.find(ms => !isNaN(ms));
+    let baseMs = Date.parse(recordingStartTime);
+    if (isNaN(baseMs)) {
+        baseMs = firstKnownStart ?? 0;
+    }
+
+    // Captions saved before StartedAt existed have no usable start; space them out instead
+    const starts = [];
+    transcript.forEach((entry, index) => {
+        const absolute = absoluteStarts[index];
+        if (!isNaN(absolute)) {
+            starts.push(Math.max(0, absolute - baseMs));
+        } else if (index === 0) {
+            starts.push(0);
+        } else {
+            starts.push(starts[index - 1] + estimateCueDuration(transcript[index - 1].Text));
+        }
+    });
+
+    return transcript.map((entry, index) => {
+        const start = starts[index];
+        const nextStart = starts[index + 1];
+        let end = nextStart !== undefined ? nextStart : start + estimateCueDuration(entry.Text);
+        end = Math.min(end, start + CUE_TIMING.MAX_DURATION_MS);
+        end = Math.max(end, start + CUE_TIMING.MIN_DURATION_MS);
+        return { start, end, speaker: entry.Name, text: entry.Text };
+    });
+}
+
+function escapeVttText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Subtitles line up with the Teams recording once its start is known; captions spoken
+// before it started have no place in the video
+function getSubtitleTimeline(transcript, recordingStartTime, meetingRecording) {
+    const recordingStart = Date.parse(meetingRecording?.startedAt);
+    if (isNaN(recordingStart)) {
+        return { transcript, startTime: recordingStartTime };
+    }
+    return {
+        transcript: transcript.filter(entry => !(Date.parse(entry.StartedAt) < recordingStart)),
+        startTime: meetingRecording.startedAt
+    };
+}
+
+function formatAsVtt(transcript, recordingStartTime, meetingTitle) {
+    const cues = buildSubtitleCues(transcript, recordingStartTime);
+    let content = 'WEBVTT\n\n';
+    content += `NOTE ${getSanitizedMeetingName(meetingTitle).replace(/-->/g, '->')}\n\n`;
+
+    content += cues.map((cue, index) => {
+        const speaker = escapeVttText(cue.speaker).replace(/[\r\n]+/g, ' ');
+        const text = escapeVttText(cue.text).replace(/\n\s*\n/g, '\n');
+        return `${index + 1}\n${formatCueTimestamp(cue.start, '.')} --> ${formatCueTimestamp(cue.end, '.')}\n<v ${speaker}>${text}</v>`;
+    }).join('\n\n');
+
+    return content + '\n';
+}
+
+function formatAsSrt(transcript, recordingStartTime) {
+    const cues = buildSubtitleCues(transcript, recordingStartTime);
+    return cues.map((cue, index) => {
+        // Blank lines end a cue in SRT, so collapse them inside the caption text
+        const text = `${cue.speaker}: ${cue.text}`.replace(/\n\s*\n/g, '\n');
+        return `${index + 1}\n${formatCueTimestamp(cue.start, ',')} --> ${formatCueTimestamp(cue.end, ',')}\n${text}`;
+    }).join('\n\n') + '\n';
+}
+
+// --- DOCX Formatting ---
+// escapeXml comes from wikiMarkup.js
+const DOCX_CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const DOCX_ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const DOCX_DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Speaker names use the bold "Speaker" style, timestamps the grey "Timestamp" style
+const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="120"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:before="2400" w:after="240"/><w:jc w:val="center"/></w:pPr><w:rPr><w:b/><w:color w:val="0078D4"/><w:sz w:val="56"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:pPr><w:jc w:val="center"/></w:pPr><w:rPr><w:color w:val="666666"/><w:sz w:val="26"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="160"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:color w:val="0078D4"/><w:sz w:val="32"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="SpeakerTurn"><w:name w:val="Speaker Turn"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="60"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="CaptionText"><w:name w:val="Caption Text"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="360"/><w:spacing w:after="60"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Reconnected"><w:name w:val="Reconnected"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="60"/><w:jc w:val="center"/></w:pPr><w:rPr><w:i/><w:color w:val="808080"/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="Speaker"><w:name w:val="Speaker"/><w:rPr><w:b/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="Timestamp"><w:name w:val="Timestamp"/><w:rPr><w:color w:val="808080"/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="AttendeeTable"><w:name w:val="Attendee Table"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:color="BFBFBF"/><w:left w:val="single" w:sz="4" w:color="BFBFBF"/><w:bottom w:val="single" w:sz="4" w:color="BFBFBF"/><w:right w:val="single" w:sz="4" w:color="BFBFBF"/><w:insideH w:val="single" w:sz="4" w:color="BFBFBF"/><w:insideV w:val="single" w:sz="4" w:color="BFBFBF"/></w:tblBorders><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+function docxRun(text, style = null) {
+    const runProps = style ? `<w:rPr><w:rStyle w:val="${style}"/></w:rPr>` : '';
+    return `<w:r>${runProps}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+function docxParagraph(runs, style = null) {
+    const paragraphProps = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+    return `<w:p>${paragraphProps}${runs}</w:p>`;
+}
+
+function docxTable(headers, rows) {
+    const cell = (text, isHeader) => {
+        const shading = isHeader ? '<w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/>' : '';
+        const run = isHeader ? docxRun(text, 'Speaker') : docxRun(text);
+        return `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/>${shading}</w:tcPr>${docxParagraph(run)}</w:tc>`;
+    };
+    const headerRow = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${headers.map(h => cell(h, true)).join('')}</w:tr>`;
+    const bodyRows = rows.map(row => `<w:tr>${row.map(value => cell(value, false)).join('')}</w:tr>`).join('');
+    return `<w:tbl><w:tblPr><w:tblStyle w:val="AttendeeTable"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>${headerRow}${bodyRows}</w:tbl>`;
+}
+
+function buildDocxBody(transcript, attendeeReport, meetingTitle, recordingStartTime) {
+    const body = [];
+    const title = getSanitizedMeetingName(meetingTitle);
+    const startDate = new Date(recordingStartTime || attendeeReport?.meetingStartTime || Date.now());
+    const speakers = [...new Set(transcript.map(entry => entry.Name))];
+
+    // Title page
+    body.push(docxParagraph(docxRun(title), 'Title'));
+    body.push(docxParagraph(docxRun(isNaN(startDate) ? '' : startDate.toLocaleString()), 'Subtitle'));
+    body.push(docxParagraph(docxRun(`${transcript.length} captions · ${speakers.length} speakers`), 'Subtitle'));
+    if (attendeeReport?.totalUniqueAttendees > 0) {
+        body.push(docxParagraph(docxRun(`${attendeeReport.totalUniqueAttendees} attendees`), 'Subtitle'));
+    }
+    body.push('<w:p><w:r><w:br w:type="page"/></w:r></w:p>');
+
+    // Attendees
+    const attendeeRows = buildAttendeeRows(attendeeReport);
+    if (attendeeRows.length > 0) {
+        body.push(docxParagraph(docxRun('Meeting Attendees'), 'Heading1'));
+        body.push(docxTable(
+            ['Name', 'Role', 'Joined', 'Left'],
+            attendeeRows.map(row => [row.name, row.role, row.joined, row.left])
+        ));
+    }
+
+    // Transcript grouped into speaker turns
+    body.push(docxParagraph(docxRun('Transcript'), 'Heading1'));
+    let lastSpeaker = null;
+    transcript.forEach(entry => {
+        if (entry.Reconnected) {
+            body.push(docxParagraph(docxRun(describeReconnection(entry.Reconnected)), 'Reconnected'));
+        }
+        if (entry.Name !== lastSpeaker || entry.Reconnected) {
+            lastSpeaker = entry.Name;
+            body.push(docxParagraph(docxRun(entry.Name, 'Speaker') + docxRun(`  ${entry.Time}`, 'Timestamp'), 'SpeakerTurn'));
+        }
+        body.push(docxParagraph(docxRun(entry.Text), 'CaptionText'));
+    });
+
+    return body.join('');
+}
+
+function formatAsDocx(transcript, attendeeReport, meetingTitle, recordingStartTime) {
+    const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${buildDocxBody(transcript, attendeeReport, meetingTitle, recordingStartTime)}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+    const coreXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${escapeXml(getSanitizedMeetingName(meetingTitle))}</dc:title><dc:creator>${escapeXml(chrome.runtime.getManifest().name)}</dc:creator><dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString()}</dcterms:created></cp:coreProperties>`;
+
+    return new ZipArchive()
+        .addFile('[Content_Types].xml', DOCX_CONTENT_TYPES)
+        .addFile('_rels/.rels', DOCX_ROOT_RELS)
+        .addFile('word/_rels/document.xml.rels', DOCX_DOCUMENT_RELS)
+        .addFile('word/document.xml', documentXml)
+        .addFile('word/styles.xml', DOCX_STYLES)
+        .addFile('docProps/core.xml', coreXml)
+        .generate();
+}
+
+// --- HTML Formatting ---
+function escapeHtml(value) {
+    return escapeXml(value).replace(/'/g, '&#39;');
+}
+
+// Styles and script are inlined and the CSP blocks any network access,
+// so the file keeps working when emailed or opened offline.
+const HTML_EXPORT_STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif; line-height: 1.6; margin: 0; padding: 20px; background: #f5f5f5; color: #333; }
+.container { max-width: 800px; margin: 0 auto; background: #fff; padding: 24px; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.08); }
+h1 { text-align: center; margin: 0 0 4px; }
+.meta { text-align: center; color: #666; margin-bottom: 24px; }
+h2 { color: #495057; font-size: 1.2em; margin-top: 28px; }
+.stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 15px; background: #f8f9fa; padding: 15px; border-radius: 8px; border: 1px solid #dee2e6; }
+.stat-value { font-size: 24px; font-weight: bold; color: #17a2b8; }
+.stat-label { font-size: 12px; color: #6c757d; }
+.bar-row { margin-bottom: 8px; }
+.bar-label { display: flex; justify-content: space-between; font-size: 14px; }
+.bar { background: #e9ecef; border-radius: 4px; height: 14px; overflow: hidden; }
+.bar > div { background: linear-gradient(90deg, #17a2b8, #28a745); height: 100%; }
+table { width: 100%; border-collapse: collapse; font-size: 14px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e0e0e0; }
+th { background: #f8f9fa; }
+.controls { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; padding: 16px 0; border-bottom: 1px solid #e0e0e0; position: sticky; top: 0; background: #fff; }
+#search-box { flex-grow: 1; min-width: 200px; padding: 8px 12px; border: 1px solid #e0e0e0; border-radius: 6px; font-size: 14px; }
+.speaker-filters button { padding: 4px 12px; border: 1px solid #0078d4; background: transparent; color: #0078d4; border-radius: 16px; cursor: pointer; font-size: 13px; }
+.speaker-filters button.active { background: #0078d4; color: #fff; }
+.caption { padding: 10px 0; border-bottom: 1px solid #f0f0f0; }
+.caption .reconnected { margin-bottom: 8px; padding-top: 4px; border-top: 1px dashed #c8c8c8; color: #777; font-size: 12px; text-align: center; }
+.caption-header { display: flex; justify-content: space-between; align-items: baseline; }
+.name { font-weight: bold; color: #0078d4; }
+.time { font-size: 0.85em; color: #666; }
+a.time { text-decoration: none; }
+a.time:hover { text-decoration: underline; }
+.text { margin: 4px 0 0; }
+.hidden { display: none; }
+#match-count { font-size: 13px; color: #666; }
+`;
+
+const HTML_EXPORT_SCRIPT = `
+(function () {
+    var searchBox = document.getElementById('search-box');
+    var filters = document.getElementById('speaker-filters');
+    var matchCount = document.getElementById('match-count');
+    var captions = Array.prototype.slice.call(document.querySelectorAll('.caption'));
+    var activeSpeaker = null;
+
+    function applyFilters() {
+        var term = searchBox.value.toLowerCase().trim();
+        var visible = 0;
+        captions.forEach(function (caption) {
+            var speaker = caption.getAttribute('data-speaker');
+            var text = caption.textContent.toLowerCase();
+            var show = (!term || text.indexOf(term) !== -1) && (!activeSpeaker || speaker === activeSpeaker);
+            caption.classList.toggle('hidden', !show);
+            if (show) visible++;
+        });
+        matchCount.textContent = visible + ' of ' + captions.length + ' captions';
+    }
+
+    filters.addEventListener('click', function (e) {
+        if (e.target.tagName !== 'BUTTON') return;
+        filters.querySelectorAll('button').forEach(function (b) { b.classList.remove('active'); });
+        e.target.classList.add('active');
+        activeSpeaker = e.target.getAttribute('data-speaker');
+        applyFilters();
+    });
+    searchBox.addEventListener('input', applyFilters);
+    applyFilters();
+})();
+`;
+
+function formatAsHtml(transcript, attendeeReport, meetingTitle, recordingStartTime) {
+    const title = getSanitizedMeetingName(meetingTitle);
+    const startDate = new Date(recordingStartTime || attendeeReport?.meetingStartTime || Date.now());
+    const analytics = calculateAnalytics(transcript);
+    const speakers = [...new Set(transcript.map(entry => entry.Name))];
+
+    const metaParts = [];
+    if (!isNaN(startDate)) metaParts.push(startDate.toLocaleString());
+    metaParts.push(`Duration: ${calculateDuration(transcript)}`);
+
+    let analyticsHtml = '';
+    if (analytics) {
+        const sortedSpeakers = Object.entries(analytics.speakerStats).sort((a, b) => b[1].wordCount - a[1].wordCount);
+        analyticsHtml = `
+<h2>Meeting Analytics</h2>
+<div class="stats">
+<div><div class="stat-value">${analytics.totalMessages}</div><div class="stat-label">Total Messages</div></div>
+<div><div class="stat-value">${analytics.totalWords}</div><div class="stat-label">Total Words</div></div>
+<div><div class="stat-value">${analytics.uniqueSpeakers}</div><div class="stat-label">Speakers</div></div>
+</div>
+<h2>Speaker Participation</h2>
+${sortedSpeakers.map(([speaker, stats]) => `<div class="bar-row"><div class="bar-label"><span>${escapeHtml(speaker)}</span><span>${stats.messageCount} messages · ${stats.wordCount} words (${stats.wordPercentage}%)</span></div><div class="bar"><div style="width: ${Number(stats.wordPercentage)}%"></div></div></div>`).join('\n')}`;
+    }
+
+    const attendeeRows = buildAttendeeRows(attendeeReport);
+    const attendeesHtml = attendeeRows.length === 0 ? '' : `
+<h2>Attendees (${attendeeReport.totalUniqueAttendees})</h2>
+<table>
+<thead><tr><th>Name</th><th>Role</th><th>Joined</th><th>Left</th></tr></thead>
+<tbody>
+${attendeeRows.map(row => `<tr><td>${escapeHtml(row.name)}</td><td>${escapeHtml(row.role)}</td><td>${escapeHtml(row.joined)}</td><td>${escapeHtml(row.left)}</td></tr>`).join('\n')}
+</tbody>
+</table>`;
+
+    const speakerButtons = speakers.map(speaker =>
+        `<button data-speaker="${escapeHtml(speaker)}">${escapeHtml(speaker)}</button>`
+    ).join('');
+
+    const captionsHtml = transcript.map(entry => `<div class="caption" data-speaker="${escapeHtml(entry.Name)}">
+${entry.Reconnected ? `<div class="reconnected">${escapeHtml(describeReconnection(entry.Reconnected))}</div>\n` : ''}<div class="caption-header"><span class="name">${escapeHtml(entry.Name)}</span>${entry.RecordingLink
+    ? `<a class="time" href="${escapeHtml(entry.RecordingLink)}" target="_blank" rel="noopener" title="Play in recording">${escapeHtml(entry.Time)}</a>`
+    : `<span class="time">${escapeHtml(entry.Time)}</span>`}</div>
+<p class="text">${escapeHtml(entry.Text)}</p>
+</div>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_EXPORT_STYLES}</style>
+</head>
+<body>
+<div class="container">
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${metaParts.map(escapeHtml).join(' · ')}</div>
+${analyticsHtml}
+${attendeesHtml}
+<h2>Transcript</h2>
+<div class="controls">
+<input type="search" id="search-box" placeholder="Search transcript..." aria-label="Search transcript">
+<div id="speaker-filters" class="speaker-filters"><button class="active">Show All</button>${speakerButtons}</div>
+<span id="match-count"></span>
+</div>
+<main id="captions">
+${captionsHtml}
+</main>
+</div>
+<script>${HTML_EXPORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// --- PDF Formatting ---
+const PDF_COLORS = {
+    primary: [0, 120, 212],
+    muted: [128, 128, 128],
+    text: [51, 51, 51]
+};
+
+function formatAsPdf(transcript, attendeeReport, meetingTitle, recordingStartTime) {
+    const title = getSanitizedMeetingName(meetingTitle);
+    const startDate = new Date(recordingStartTime || attendeeReport?.meetingStartTime || Date.now());
+    const dateLabel = isNaN(startDate) ? '' : startDate.toLocaleDateString();
+    const speakers = [...new Set(transcript.map(entry => entry.Name))];
+    const attendeeRows = buildAttendeeRows(attendeeReport);
+    const pdf = new PdfDocument({ title });
+    // The built-in font only covers Western European text; anything else prints as '?'
+    const unsupportedCharacters = PdfDocument.findUnsupportedCharacters(
+        [title, ...transcript.flatMap(entry => [entry.Name, entry.Text]), ...attendeeRows.map(row => row.name)].join('\n'));
+
+    // Cover block
+    pdf.moveDown(160);
+    pdf.writeParagraph(title, { size: 26, bold: true, color: PDF_COLORS.primary, align: 'center', spaceAfter: 24 });
+    const coverLines = [
+        isNaN(startDate) ? null : startDate.toLocaleString(),
+        `Duration: ${calculateDuration(transcript)}`,
+        `Attendees: ${attendeeReport?.totalUniqueAttendees || 0}`,
+        `Speakers: ${speakers.length}  ·  Captions: ${transcript.length}`
+    ].filter(Boolean);
+    coverLines.forEach(line => pdf.writeParagraph(line, { size: 13, color: PDF_COLORS.muted, align: 'center', spaceAfter: 4 }));
+    if (unsupportedCharacters.length > 0) {
+        console.warn(`[Service Worker] PDF export shows ${unsupportedCharacters.length} unsupported characters as "?"`);
+        pdf.writeParagraph(
+            'Some characters in this transcript, such as non-Latin scripts or emoji, can\'t be shown in this PDF and appear as "?". ' +
+            'Save as Word, HTML or text, or print from the transcript viewer, to keep the full text.',
+            { size: 10, color: PDF_COLORS.primary, align: 'center', spaceBefore: 24 }
+        );
+    }
+
+    if (attendeeRows.length > 0) {
+        pdf.addPage();
+        pdf.writeParagraph('Meeting Attendees', { size: 16, bold: true, color: PDF_COLORS.primary, spaceAfter: 8 });
+        attendeeRows.forEach(row => {
+            const details = [row.role, row.joined && `joined ${row.joined}`, row.left && `left ${row.left}`].filter(Boolean).join(', ');
+            pdf.writeRuns([
+                { text: row.name, bold: true, size: 11, color: PDF_COLORS.text },
+                { text: `  ${details}`, size: 10, color: PDF_COLORS.muted }
+            ]);
+        });
+    }
+
+    // Speaker-grouped transcript body
+    pdf.addPage();
+    pdf.writeParagraph('Transcript', { size: 16, bold: true, color: PDF_COLORS.primary, spaceAfter: 4 });
+    let lastSpeaker = null;
+    transcript.forEach(entry => {
+        if (entry.Reconnected) {
+            pdf.moveDown(8).ensureSpace(11 * 1.4 * 3);
+            pdf.writeParagraph(describeReconnection(entry.Reconnected), { size: 9, color: PDF_COLORS.muted, align: 'center', spaceAfter: 0 });
+        }
+        if (entry.Name !== lastSpeaker || entry.Reconnected) {
+            lastSpeaker = entry.Name;
+            // Keep the speaker line together with the first line of what they said
+            pdf.moveDown(8).ensureSpace(11 * 1.4 * 2);
+            pdf.writeRuns([
+                { text: entry.Name, bold: true, size: 11, color: PDF_COLORS.text },
+                { text: `  ${entry.Time}`, size: 9, color: PDF_COLORS.muted }
+            ]);
+        }
+        pdf.writeParagraph(entry.Text, { size: 11, indent: 18, color: PDF_COLORS.text, spaceAfter: 2 });
+    });
+
+    // Running header and page numbers on every page after the cover
+    return pdf.generate((doc, pageIndex, pageCount) => {
+        if (pageIndex === 0) return;
+        const headerY = doc.pageHeight - 40;
+        doc.drawRuns(pageIndex, doc.margin, headerY, [{ text: title, size: 9, color: PDF_COLORS.muted }]);
+        const dateRun = [{ text: dateLabel, size: 9, color: PDF_COLORS.muted }];
+        doc.drawRuns(pageIndex, doc.pageWidth - doc.margin - doc.measureRuns(dateRun), headerY, dateRun);
+        const footerRun = [{ text: `Page ${pageIndex + 1} of ${pageCount}`, size: 9, color: PDF_COLORS.muted }];
+        doc.drawRuns(pageIndex, (doc.pageWidth - doc.measureRuns(footerRun)) / 2, 32, footerRun);
+    });
+}
+
+// --- Spreadsheet Formatting (CSV / XLSX) ---
+const CAPTION_TABLE_HEADERS = ['Index', 'Start Time', 'End Time', 'Speaker', 'Original Speaker', 'Text', 'Word Count', 'Reconnected'];
+
+// One row per caption. Start/end are ISO timestamps when the caption start is known;
+// the end time comes from the same cue timing used by the subtitle exports.
+// The first caption after a rejoin has the reconnected marker in the last column.
+function buildCaptionRows(transcript, originalTranscript, recordingStartTime) {
+    const cues = buildSubtitleCues(transcript, recordingStartTime);
+    const baseMs = Date.parse(recordingStartTime);
+
+    return transcript.map((entry, index) => {
+        const startedAt = Date.parse(entry.StartedAt);
+        const hasStart = !isNaN(startedAt) && !isNaN(baseMs);
+        return [
+            index + 1,
+            hasStart ? new Date(startedAt).toISOString() : entry.Time,
+            hasStart ? new Date(baseMs + cues[index].end).toISOString() : '',
+            entry.Name,
+            originalTranscript[index]?.Name ?? entry.Name,
+            entry.Text,
+            entry.Text.split(/\s+/).length,
+            entry.Reconnected ? describeReconnection(entry.Reconnected) : ''
+        ];
+    });
+}
+
+// RFC 4180: quote fields containing commas, quotes or line breaks and double embedded quotes
+function escapeCsvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatAsCsv(transcript, originalTranscript, recordingStartTime) {
+    const rows = [CAPTION_TABLE_HEADERS, ...buildCaptionRows(transcript, originalTranscript, recordingStartTime)];
+    // BOM so Excel detects UTF-8; records end with CRLF as the RFC requires
+    return '\uFEFF' + rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function xlsxColumnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// Build a worksheet; the first row is styled as a bold, frozen header
+function buildXlsxSheet(rows, columnWidths) {
+    const sheetRows = rows.map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            const ref = `${xlsxColumnName(columnIndex)}${rowIndex + 1}`;
+            const style = rowIndex === 0 ? ' s="1"' : '';
+            if (typeof value === 'number' && isFinite(value)) {
+                return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    const cols = columnWidths.map((width, index) =>
+        `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`
+    ).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><cols>${cols}</cols><sheetData>${sheetRows}</sheetData></worksheet>`;
+}
+
+const XLSX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`;
+
+function formatAsXlsx(transcript, originalTranscript, attendeeReport, meetingTitle, recordingStartTime) {
+    const sheets = [{
+        name: 'Transcript',
+        rows: [CAPTION_TABLE_HEADERS, ...buildCaptionRows(transcript, originalTranscript, recordingStartTime)],
+        widths: [8, 26, 26, 24, 24, 80, 12, 36]
+    }];
+
+    if (attendeeReport?.attendeeHistory?.length) {
+        sheets.push({
+            name: 'Attendee History',
+            rows: [
+                ['Name', 'Role', 'Action', 'Time'],
+                ...attendeeReport.attendeeHistory.map(event => [event.name, event.role || '', event.action, event.time])
+            ],
+            widths: [30, 16, 26, 20]
+        });
+    }
+
+    const analytics = calculateAnalytics(transcript);
+    if (analytics) {
+        const sortedSpeakers = Object.entries(analytics.speakerStats).sort((a, b) => b[1].wordCount - a[1].wordCount);
+        sheets.push({
+            name: 'Speaker Stats',
+            rows: [
+                ['Speaker', 'Messages', 'Words', 'Word %', 'First Message', 'Last Message'],
+                ...sortedSpeakers.map(([speaker, stats]) => [
+                    speaker, stats.messageCount, stats.wordCount, Number(stats.wordPercentage), stats.firstMessage, stats.lastMessage
+                ])
+            ],
+            widths: [30, 12, 12, 10, 18, 18]
+        });
+    }
+
+    const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+    const rootRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+    const workbook = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheets.map((sheet, i) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>`;
+
+    const workbookRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+    const coreXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${escapeXml(getSanitizedMeetingName(meetingTitle))}</dc:title><dc:creator>${escapeXml(chrome.runtime.getManifest().name)}</dc:creator><dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString()}</dcterms:created></cp:coreProperties>`;
+
+    const archive = new ZipArchive()
+        .addFile('[Content_Types].xml', contentTypes)
+        .addFile('_rels/.rels', rootRels)
+        .addFile('xl/workbook.xml', workbook)
+        .addFile('xl/_rels/workbook.xml.rels', workbookRels)
+        .addFile('xl/styles.xml', XLSX_STYLES)
+        .addFile('docProps/core.xml', coreXml);
+    sheets.forEach((sheet, i) => archive.addFile(`xl/worksheets/sheet${i + 1}.xml`, buildXlsxSheet(sheet.rows, sheet.widths)));
+    return archive.generate();
+}
+
+// --- JSON Export Schema ---
+// The JSON export is consumed by external tooling, so its shape is versioned.
+// Bump the major version when a field is removed or renamed, the minor version
+// when fields are added. Documented in readme.md under "JSON Export Schema".
+const TRANSCRIPT_SCHEMA = {
+    name: 'teams-captions-saver/transcript',
+    version: '1.5.0'
+};
+
+// Build the versioned export document shared by the JSON and YAML formats
+function buildTranscriptExport(transcript, attendeeReport, context = {}) {
+    const { meetingTitle, recordingStartTime, meetingRecording, aliases = {}, originalTranscript = transcript } = context;
+    const manifest = chrome.runtime.getManifest();
+
+    // Only keep aliases that were actually filled in
+    const appliedAliases = getAppliedAliases(aliases);
+
+    const captions = transcript.map((entry, index) => ({
+        id: entry.Id || `caption_${index + 1}`,
+        index,
+        speaker: entry.Name,
+        originalSpeaker: originalTranscript[index]?.Name ?? entry.Name,
+        text: entry.Text,
+        time: entry.Time,
+        startedAt: entry.StartedAt || null,
+        lastUpdatedAt: entry.LastUpdatedAt || null,
+        finalizedAt: entry.FinalizedAt || null,
+        revisions: entry.Revisions ? entry.Revisions.map(revision => ({ text: revision.Text, at: revision.At })) : null,
+        reconnected: entry.Reconnected ? { at: entry.Reconnected.At, gapSeconds: entry.Reconnected.GapSeconds } : null,
+        recordingLink: entry.RecordingLink || null
+    }));
+
+    const exportData = {
+        schema: TRANSCRIPT_SCHEMA.name,
+        schemaVersion: TRANSCRIPT_SCHEMA.version,
+        generator: {
+            name: manifest.name,
+            version: manifest.version
+        },
+        exportedAt: new Date().toISOString(),
+        meeting: {
+            title: getSanitizedMeetingName(meetingTitle),
+            rawTitle: meetingTitle || '',
+            recordingStartTime: recordingStartTime || null,
+            recording: meetingRecording?.startedAt || meetingRecording?.url ? {
+                startedAt: meetingRecording.startedAt || null,
+                url: meetingRecording.url || null
+            } : null,
+            captionCount: captions.length,
+            speakers: [...new Set(captions.map(c => c.speaker))]
+        },
+        aliases: appliedAliases,
+        attendeeReport: attendeeReport ? {
+            meetingStartTime: attendeeReport.meetingStartTime ?? null,
+            lastUpdated: attendeeReport.lastUpdated ?? null,
+            lastUpdatedAt: attendeeReport.lastUpdatedAt ?? null,
+            totalUniqueAttendees: attendeeReport.totalUniqueAttendees ?? 0,
+            currentAttendeeCount: attendeeReport.currentAttendeeCount ?? 0,
+            attendeeList: attendeeReport.attendeeList || [],
+            currentAttendees: attendeeReport.currentAttendees || [],
+            attendeeHistory: attendeeReport.attendeeHistory || [],
+            headcountHistory: attendeeReport.headcountHistory || []
+        } : null,
+        captions
+    };
+    return exportData;
+}
+
+function formatAsJson(transcript, attendeeReport, context = {}) {
+    return JSON.stringify(buildTranscriptExport(transcript, attendeeReport, context), null, 2);
+}
+
+// --- YAML Formatting ---
+// Strings are emitted plain only when a YAML parser can't mistake them for another
+// type or syntax; everything else is double-quoted with JSON-compatible escapes.
+const YAML_PLAIN_SAFE = /^[A-Za-z_][A-Za-z0-9 _.()/@'+-]*$/;
+const YAML_RESERVED = /^(true|false|yes|no|on|off|y|n|null|~)$/i;
+
+function formatYamlScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean') return value ? 'true' : 'false';
+    if (typeof value === 'number') return isFinite(value) ? String(value) : 'null';
+
+    const text = String(value);
+    if (YAML_PLAIN_SAFE.test(text) && !YAML_RESERVED.test(text) && !/\s$/.test(text) && !text.includes(' #')) {
+        return text;
+    }
+    // JSON strings are valid YAML double-quoted scalars; also escape the Unicode line separators
+    return JSON.stringify(text).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+function toYaml(value, indent = 0) {
+    const pad = ' '.repeat(indent);
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        return value.map(item => {
+            if (item !== null && typeof item === 'object' && Object.keys(item).length > 0) {
+                // First key sits on the dash line, the rest align under it
+                return `${pad}- ${toYaml(item, indent + 2).trimStart()}`;
+            }
+            return `${pad}- ${toYaml(item, indent + 2)}`;
+        }).join('\n');
+    }
+
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.entries(value);
+        if (entries.length === 0) return '{}';
+        return entries.map(([key, item]) => {
+            const formattedKey = formatYamlScalar(key);
+            const isBlock = item !== null && typeof item === 'object' &&
+                (Array.isArray(item) ? item.length > 0 : Object.keys(item).length > 0);
+            return isBlock
+                ? `${pad}${formattedKey}:\n${toYaml(item, Array.isArray(item) ? indent : indent + 2)}`
+                : `${pad}${formattedKey}: ${toYaml(item, indent + 2)}`;
+        }).join('\n');
+    }
+
+    return formatYamlScalar(value);
+}
+
+function formatAsYaml(transcript, attendeeReport, context = {}) {
+    return toYaml(buildTranscriptExport(transcript, attendeeReport, context)) + '\n';
+}
+
+// --- Notes Vault Markdown (Obsidian / Notion) ---
+// Characters Obsidian does not allow inside a [[link]]
+function toWikiLink(name) {
+    const target = String(name || '').replace(/[[\]#^|\\]/g, '').trim();
+    return target ? `[[${target}]]` : '';
+}
+
+function toLocalIsoDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Markdown with YAML front matter, wiki-linked speakers and fixed section headings
+function formatAsVaultMarkdown(transcript, originalTranscript, attendeeReport, meetingTitle, recordingStartTime, tags = []) {
+    const title = getSanitizedMeetingName(meetingTitle);
+    const start = new Date(recordingStartTime || originalTranscript[0]?.StartedAt || Date.now());
+    const lastStart = Date.parse(originalTranscript[originalTranscript.length - 1]?.StartedAt);
+    const end = isNaN(lastStart) ? new Date() : new Date(lastStart);
+    const attendees = buildAttendeeRows(attendeeReport);
+    const speakers = [...new Set(transcript.map(entry => entry.Name))];
+
+    // The date stays unquoted so Obsidian and Dataview read it as a date property
+    const frontMatter = [
+        toYaml({ title }),
+        `date: ${toLocalIsoDate(start)}`,
+        toYaml({
+            start: start.toISOString(),
+            end: end.toISOString(),
+            duration: calculateDuration(originalTranscript),
+            attendees: attendees.map(row => row.name),
+            speakers,
+            tags,
+            source: 'Microsoft Teams'
+        })
+    ].join('\n');
+
+    let content = `---\n${frontMatter}\n---\n\n# ${title}\n\n`;
+
+    content += '## Attendees\n\n';
+    content += attendees.length
+        ? attendees.map(row => `- ${toWikiLink(row.name)} (${row.role})`).join('\n')
+        : '_No attendee data recorded._';
+
+    content += '\n\n## Speakers\n\n';
+    content += speakers.length ? speakers.map(name => `- ${toWikiLink(name)}`).join('\n') : '_No captions recorded._';
+
+    content += '\n\n## Transcript\n\n';
+    let lastSpeaker = null;
+    content += transcript.map(entry => {
+        const marker = entry.Reconnected ? `\n*— ${describeReconnection(entry.Reconnected)} —*\n` : '';
+        if (entry.Name !== lastSpeaker || marker) {
+            lastSpeaker = entry.Name;
+            return `${marker}\n**${toWikiLink(entry.Name)}** (${formatMarkdownTime(entry)}):\n> ${entry.Text}`;
+        }
+        return formatMarkdownQuote(entry);
+    }).join('\n').trim();
+
+    return content + '\n';
+}
+
+// Keep vault subfolders inside the Downloads directory
+function sanitizeFolderPath(folder) {
+    return String(folder || '')
+        .split(/[\\/]+/)
+        .map(segment => segment.replace(/[<>:"|?*\x00-\x1F]/g, '_').trim())
+        .filter(segment => segment && segment !== '.' && segment !== '..')
+        .join('/');
+}
+
+// --- Custom Template Formatting ---
+// Templates are edited in the popup (config.json's `exportTemplates` are the defaults) and
+// selected with a `template:<id>` format, both from the popup and as the auto-save format.
+
+const TEMPLATE_MIME_TYPES = {
+    md: 'text/markdown',
+    html: 'text/html',
+    csv: 'text/csv',
+    json: 'application/json',
+    xml: 'application/xml',
+    yaml: 'application/x-yaml'
+};
+
+// The `{format}` filename token; template formats use their id, which is filename-safe
+function getFormatFilenameToken(format) {
+    return getTemplateId(format) ?? format;
+}
+
+function getInitials(name) {
+    return String(name || '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(part => part[0].toUpperCase())
+        .join('')
+        .slice(0, 3);
+}
+
+// The values exposed to templates: meeting fields plus captions, speakers and attendees lists
+function buildTemplateData(exportContext) {
+    const { transcript, originalTranscript, attendeeReport, meetingTitle, recordingStartTime } = exportContext;
+    const analytics = calculateAnalytics(transcript);
+    const startDate = new Date(recordingStartTime || originalTranscript[0]?.StartedAt || Date.now());
+
+    const captions = transcript.map((entry, index) => ({
+        number: index + 1,
+        time: entry.Time,
+        startedAt: entry.StartedAt || '',
+        speaker: entry.Name,
+        originalSpeaker: originalTranscript[index]?.Name ?? entry.Name,
+        initials: getInitials(entry.Name),
+        text: entry.Text,
+        wordCount: entry.Text.split(/\s+/).filter(Boolean).length,
+        speakerChanged: index === 0 || transcript[index - 1].Name !== entry.Name,
+        // Empty except on the first caption after a rejoin, so it works with {{#if}}
+        reconnected: entry.Reconnected ? describeReconnection(entry.Reconnected) : ''
+    }));
+
+    const speakers = Object.entries(analytics?.speakerStats || {}).map(([name, stats]) => ({
+        name,
+        initials: getInitials(name),
+        captionCount: stats.messageCount,
+        wordCount: stats.wordCount,
+        wordPercentage: stats.wordPercentage
+    }));
+
+    const attendees = buildAttendeeRows(attendeeReport).map(row => ({ ...row, initials: getInitials(row.name) }));
+
+    return {
+        title: getSanitizedMeetingName(meetingTitle),
+        rawTitle: meetingTitle || '',
+        date: startDate.toLocaleDateString(),
+        time: startDate.toLocaleTimeString(),
+        startTime: startDate.toISOString(),
+        duration: calculateDuration(originalTranscript),
+        exportedAt: new Date().toISOString(),
+        captionCount: captions.length,
+        wordCount: analytics?.totalWords || 0,
+        speakerCount: speakers.length,
+        attendeeCount: attendeeReport?.totalUniqueAttendees || attendees.length,
+        captions,
+        speakers,
+        attendees
+    };
+}
+
+function formatWithTemplate(template, exportContext) {
+    return TemplateEngine.render(getTemplateBody(template), buildTemplateData(exportContext));
+}
+
+// --- AI Prompt Pack ---
+// Long meetings overflow model context windows, so the transcript is split on speaker
+// turns into chunks that fit a token budget, plus a final prompt to merge the summaries.
+const PROMPT_PACK_DEFAULTS = {
+    tokenBudget: 6000,
+    instructions: 'Summarize this part of the meeting transcript. List the key points, decisions and action items (with owners where mentioned).'
+};
+const PROMPT_PACK_CHARS_PER_TOKEN = 4; // Rough average for English text
+const PROMPT_PACK_HEADER_TOKENS = 80; // Room for the per-chunk part/range header
+const PROMPT_PACK_MIN_CHUNK_TOKENS = 500;
+
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / PROMPT_PACK_CHARS_PER_TOKEN);
+}
+
+// The rejoin marker goes on its own line, as in the text export
+function formatPromptLine(entry) {
+    const marker = entry.Reconnected ? `--- ${describeReconnection(entry.Reconnected)} ---\n` : '';
+    return `${marker}[${entry.Time}] ${entry.Name}: ${entry.Text}`;
+}
+
+// Group captions into speaker turns, then pack whole turns into chunks. A turn that is
+// too large on its own is split between captions.
+function chunkTranscriptByTokens(transcript, maxTokens) {
+    const turns = [];
+    transcript.forEach(entry => {
+        const lastTurn = turns[turns.length - 1];
+        if (lastTurn && lastTurn[0].Name === entry.Name) {
+            lastTurn.push(entry);
+        } else {
+            turns.push([entry]);
+        }
+    });
+
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+    const flush = () => {
+        if (current.length) chunks.push(current);
+        current = [];
+        currentTokens = 0;
+    };
+
+    for (const turn of turns) {
+        const turnTokens = turn.reduce((sum, entry) => sum + estimateTokens(formatPromptLine(entry)) + 1, 0);
+        if (currentTokens + turnTokens <= maxTokens) {
+            current.push(...turn);
+            currentTokens += turnTokens;
+            continue;
+        }
+        flush();
+        for (const entry of turn) {
+            const entryTokens = estimateTokens(formatPromptLine(entry)) + 1;
+            if (current.length && currentTokens + entryTokens > maxTokens) flush();
+            current.push(entry);
+            currentTokens += entryTokens;
+        }
+    }
+    flush();
+    return chunks;
+}
+
+function describeChunkRange(chunk) {
+    return `${chunk[0].Time}\u2013${chunk[chunk.length - 1].Time}`;
+}
+
+function buildPromptPack(transcript, meetingTitle, settings = {}) {
+    const { tokenBudget, instructions } = { ...PROMPT_PACK_DEFAULTS, ...settings };
+    const title = getSanitizedMeetingName(meetingTitle);
+    const overhead = estimateTokens(instructions) + PROMPT_PACK_HEADER_TOKENS;
+    const transcriptBudget = Math.max(PROMPT_PACK_MIN_CHUNK_TOKENS, tokenBudget - overhead);
+    // Parts still need room for some transcript, so long instructions push them past the budget
+    const warning = overhead + PROMPT_PACK_MIN_CHUNK_TOKENS > tokenBudget
+        ? `The instructions take about ${overhead} of the ${tokenBudget} token budget, so each part can reach about ${overhead + transcriptBudget} tokens. Shorten the instructions or raise tokenBudget.`
+        : null;
+    if (warning) console.warn(`[Service Worker] AI prompt pack: ${warning}`);
+    const chunks = chunkTranscriptByTokens(transcript, transcriptBudget);
+    const total = chunks.length;
+
+    const parts = chunks.map((chunk, index) => {
+        const speakers = [...new Set(chunk.map(entry => entry.Name))].join(', ');
+        const header = [
+            `Meeting: ${title}`,
+            `Part ${index + 1} of ${total}, covering ${describeChunkRange(chunk)} (speakers: ${speakers}).`,
+            index > 0
+                ? `The previous chunk covered ${describeChunkRange(chunks[index - 1])}. Only summarize this part; the partial summaries will be combined afterwards.`
+                : total > 1 ? 'This is the first part. Only summarize this part; the partial summaries will be combined afterwards.' : null
+        ].filter(Boolean).join('\n');
+        return `${instructions}\n\n---\n${header}\n---\n\n${chunk.map(formatPromptLine).join('\n')}\n`;
+    });
+
+    const combine = [
+        `Below are ${total} partial summaries of the meeting "${title}", each produced from a consecutive part of the transcript.`,
+        'Combine them into a single summary of the whole meeting: merge duplicate points, keep decisions and action items (with owners), and keep the chronological order.',
+        '',
+        `The partial summaries were written with these instructions:\n${instructions}`,
+        '',
+        ...chunks.map((chunk, index) => `--- Partial summary ${index + 1} of ${total} (${describeChunkRange(chunk)}) ---\n[Paste the summary of part ${index + 1} here]\n`)
+    ].join('\n');
+
+    return { parts, combine, tokenBudget, warning };
+}
+
+function formatAsPromptPack(transcript, meetingTitle, settings) {
+    const { parts, combine, tokenBudget, warning } = buildPromptPack(transcript, meetingTitle, settings);
+    const width = String(parts.length).length;
+    const archive = new ZipArchive();
+
+    archive.addFile('README.txt', [
+        `AI prompt pack for "${getSanitizedMeetingName(meetingTitle)}"`,
+        '',
+        `The transcript is split into ${parts.length} part(s) of about ${tokenBudget} tokens or less (estimated), breaking between speaker turns.`,
+        '1. Paste each part file into your AI assistant in order and keep its summary.',
+        '2. Paste the summaries into combine.txt and send that last.',
+        ...(warning ? ['', `Note: ${warning}`] : [])
+    ].join('\n') + '\n');
+    parts.forEach((part, index) => {
+        const number = String(index + 1).padStart(width, '0');
+        archive.addFile(`part-${number}-of-${parts.length}.txt`, part);
+    });
+    archive.addFile('combine.txt', combine);
+    return archive.generate();
+}
+
+// --- Attendance Report ---
+// Roster events carry an ISO `timestamp` (older reports only have a locale `time`,
+// so their presence can't be measured). The roster is polled, so durations are
+// accurate to the attendee update interval.
+const ATTENDANCE_HEADERS = ['Name', 'Role', 'First Join', 'Last Leave', 'Rejoins', 'Minutes Present', 'Spoke'];
+const PRESENCE_START_ACTIONS = ['joined', 'rejoined', 'detected from transcript'];
+
+function buildAttendanceRecords(attendeeReport, transcript) {
+    if (!attendeeReport?.attendeeList?.length) return [];
+
+    const history = attendeeReport.attendeeHistory || [];
+    const speakers = new Set(transcript.map(entry => entry.Name));
+    const currentRoles = new Map((attendeeReport.currentAttendees || []).map(a => [a.name, a.role]));
+    const lastCaption = Date.parse(transcript[transcript.length - 1]?.StartedAt);
+    const lastRoster = Date.parse(attendeeReport.lastUpdatedAt);
+    const reportEnd = Math.max(isNaN(lastCaption) ? 0 : lastCaption, isNaN(lastRoster) ? 0 : lastRoster) || Date.now();
+
+    return attendeeReport.attendeeList.map(name => {
+        const events = history.filter(event => event.name === name);
+        const isPresent = currentRoles.has(name);
+        let presentMs = 0;
+        let openedAt = null;
+        let measurable = events.length > 0;
+
+        events.forEach(event => {
+            const at = Date.parse(event.timestamp);
+            if (isNaN(at)) {
+                measurable = false;
+                return;
+            }
+            if (PRESENCE_START_ACTIONS.includes(event.action)) {
+                if (openedAt === null) openedAt = at;
+            } else if (event.action === 'left' && openedAt !== null) {
+                presentMs += at - openedAt;
+                openedAt = null;
+            }
+        });
+        if (openedAt !== null && isPresent) {
+            presentMs += Math.max(0, reportEnd - openedAt);
+        }
+
+        const firstJoin = events.find(event => event.action !== 'left');
+        const lastLeave = [...events].reverse().find(event => event.action === 'left');
+        return {
+            name,
+            role: currentRoles.get(name) || firstJoin?.role || 'Attendee',
+            firstJoin: firstJoin?.timestamp || '',
+            lastLeave: isPresent ? '' : (lastLeave?.timestamp || ''),
+            present: isPresent,
+            rejoins: events.filter(event => event.action === 'rejoined').length,
+            minutesPresent: measurable ? Math.round(presentMs / 6000) / 10 : null,
+            spoke: speakers.has(name)
+        };
+    });
+}
+
+function formatPresenceMinutes(minutes) {
+    if (minutes === null) return 'unknown';
+    const rounded = Math.round(minutes);
+    return rounded < 60 ? `${rounded} min` : `${Math.floor(rounded / 60)}h ${String(rounded % 60).padStart(2, '0')}m`;
+}
+
+function formatLocalTimestamp(iso) {
+    const date = new Date(iso);
+    return !iso || isNaN(date) ? '' : date.toLocaleString();
+}
+
+// Two CSV tables (attendees, then the headcount series) separated by a blank line,
+// with the same BOM and CRLF conventions as the caption CSV
+function formatAsAttendanceCsv(attendeeReport, transcript) {
+    const records = buildAttendanceRecords(attendeeReport, transcript);
+    const rows = [
+        ATTENDANCE_HEADERS,
+        ...records.map(record => [
+            record.name,
+            record.role,
+            record.firstJoin,
+            record.lastLeave,
+            record.rejoins,
+            record.minutesPresent ?? '',
+            record.spoke ? 'Yes' : 'No'
+        ]),
+        [],
+        ['Time', 'Headcount'],
+        ...(attendeeReport?.headcountHistory || []).map(sample => [sample.timestamp, sample.count])
+    ];
+    return '\uFEFF' + rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function formatAsAttendanceMarkdown(attendeeReport, transcript, meetingTitle) {
+    const records = buildAttendanceRecords(attendeeReport, transcript);
+    const headcount = attendeeReport?.headcountHistory || [];
+    const cell = value => String(value ?? '').replace(/\|/g, '\\|');
+
+    let content = `# Attendance Report: ${getSanitizedMeetingName(meetingTitle)}\n\n`;
+    content += `**Meeting Start:** ${formatLocalTimestamp(attendeeReport?.meetingStartTime) || 'unknown'}  \n`;
+    content += `**Unique Attendees:** ${records.length}  \n`;
+    content += `**Spoke:** ${records.filter(record => record.spoke).length} of ${records.length}\n\n`;
+
+    content += '## Attendees\n\n';
+    if (records.length) {
+        content += '| Name | Role | First Join | Last Leave | Rejoins | Time Present | Spoke |\n';
+        content += '| --- | --- | --- | --- | --: | --: | --- |\n';
+        content += records.map(record => `| ${[
+            cell(record.name),
+            cell(record.role),
+            formatLocalTimestamp(record.firstJoin),
+            record.present ? 'still present' : formatLocalTimestamp(record.lastLeave),
+            record.rejoins,
+            formatPresenceMinutes(record.minutesPresent),
+            record.spoke ? 'Yes' : 'No'
+        ].join(' | ')} |`).join('\n');
+    } else {
+        content += '_No attendee data recorded._';
+    }
+
+    content += '\n\n## Headcount Over Time\n\n';
+    if (headcount.length) {
+        const peak = Math.max(...headcount.map(sample => sample.count));
+        content += `**Peak:** ${peak}\n\n| Time | Headcount |\n| --- | --: |\n`;
+        content += headcount.map(sample => `| ${formatLocalTimestamp(sample.timestamp)} | ${sample.count} |`).join('\n');
+    } else {
+        content += '_No headcount samples recorded (the participant panel was not available)._';
+    }
+
+    content += '\n\n_Presence is measured from roster snapshots taken about once a minute._\n';
+    return content;
+}
+
+// --- Follow-up Email Draft (.eml) ---
+const EMAIL_ADDRESS_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+// An alias of "Name <address>" (or just an address) supplies that person's email
+const ALIAS_WITH_ADDRESS_PATTERN = /^(.*?)\s*<([^<>]+)>$/;
+
+// Phrases that usually introduce a commitment or a request in spoken meetings
+const ACTION_ITEM_PATTERNS = [
+    /\baction items?\b/i,
+    /\b(i|we|you|they|he|she)(['’]ll| will| need to| have to| should)\b/i,
+    /\b(can|could|would) you\b/i,
+    /\bfollow[ -]?up\b/i,
+    /\b(to ?do|next steps?|owner|deadline|due)\b/i,
+    /\bby (monday|tuesday|wednesday|thursday|friday|tomorrow|tonight|end of (the )?(day|week|month)|eod|eow|next week)\b/i,
+    /\blet['’]s\b/i
+];
+const MAX_ACTION_ITEMS = 15;
+
+function detectActionItems(transcript) {
+    return transcript
+        .filter(entry => ACTION_ITEM_PATTERNS.some(pattern => pattern.test(entry.Text)))
+        .slice(0, MAX_ACTION_ITEMS)
+        .map(entry => `- ${entry.Name} (${entry.Time}): ${entry.Text}`);
+}
+
+// Resolve attendee addresses from the config address book or from "Name <address>" aliases
+function buildEmailRecipients(originalAttendeeReport, originalTranscript, aliases = {}, addressBook = {}) {
+    const speakers = new Set(originalTranscript.map(entry => entry.Name));
+    const to = [];
+    const cc = [];
+    const unresolved = [];
+
+    (originalAttendeeReport?.attendeeList || []).forEach(name => {
+        const alias = aliases[name]?.trim() || '';
+        const aliasMatch = alias.match(ALIAS_WITH_ADDRESS_PATTERN);
+        const displayName = getAliasDisplayName(alias) || name;
+        const address = [addressBook[name], addressBook[displayName], aliasMatch?.[2], alias]
+            .map(candidate => candidate?.trim())
+            .find(candidate => candidate && EMAIL_ADDRESS_PATTERN.test(candidate));
+
+        if (!address) {
+            unresolved.push(displayName);
+        } else {
+            // People who spoke go in To, silent attendees in CC
+            (speakers.has(name) ? to : cc).push({ name: displayName, address });
+        }
+    });
+
+    return { to, cc, unresolved };
+}
+
+// RFC 2047 encoded-word for header text that isn't plain ASCII
+function encodeMimeHeader(text) {
+    if (/^[\x20-\x7E]*$/.test(text)) return text;
+    return `=?UTF-8?B?${bytesToBase64(new TextEncoder().encode(text))}?=`;
+}
+
+function formatMailbox({ name, address }) {
+    if (!name || name === address) return `<${address}>`;
+    const displayName = /^[\x20-\x7E]*$/.test(name)
+        ? `"${name.replace(/[\\"]/g, '\\$&')}"`
+        : encodeMimeHeader(name);
+    return `${displayName} <${address}>`;
+}
+
+// Base64 body wrapped at 76 characters, as MIME requires
+function encodeMimeBody(content) {
+    const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    return bytesToBase64(bytes).replace(/.{1,76}/g, '$&\r\n').trimEnd();
+}
+
+function formatAsEml(exportContext, emailSettings = {}) {
+    const { transcript, originalTranscript, attendeeReport, originalAttendeeReport, meetingTitle, recordingStartTime, aliases } = exportContext;
+    const title = getSanitizedMeetingName(meetingTitle);
+    const startDate = new Date(recordingStartTime || originalTranscript[0]?.StartedAt || Date.now());
+    const analytics = calculateAnalytics(transcript);
+    const { to, cc, unresolved } = buildEmailRecipients(originalAttendeeReport, originalTranscript, aliases, emailSettings.addressBook);
+    const actionItems = detectActionItems(transcript);
+    const attachmentName = `${title}.md`;
+
+    const speakerLines = Object.entries(analytics?.speakerStats || {})
+        .map(([name, stats]) => `- ${name}: ${stats.messageCount} captions (${stats.wordPercentage}% of words)`);
+
+    const body = [
+        'Hi all,',
+        '',
+        `Thanks for joining "${title}". Here is a short recap; the full transcript is attached.`,
+        '',
+        'RECAP',
+        `- Date: ${isNaN(startDate) ? '' : startDate.toLocaleString()}`,
+        `- Duration: ${calculateDuration(originalTranscript)}`,
+        `- Attendees: ${attendeeReport?.totalUniqueAttendees || 0}`,
+        `- Captions: ${transcript.length}`,
+        '',
+        'SPEAKERS',
+        ...(speakerLines.length ? speakerLines : ['- No captions recorded']),
+        '',
+        'POSSIBLE ACTION ITEMS (detected automatically, please review)',
+        ...(actionItems.length ? actionItems : ['- None detected']),
+        '',
+        ...(unresolved.length ? [`No email address known for: ${unresolved.join(', ')}`, ''] : []),
+        'Best regards'
+    ].join('\r\n');
+
+    const boundary = `----=_TeamsCaptionsSaver_${Date.now().toString(36)}`;
+    const headers = [
+        'X-Unsent: 1', // Outlook opens the file as an editable draft
+        ...(to.length ? [`To: ${to.map(formatMailbox).join(',\r\n ')}`] : []),
+        ...(cc.length ? [`Cc: ${cc.map(formatMailbox).join(',\r\n ')}`] : []),
+        `Subject: ${encodeMimeHeader(`${emailSettings.subjectPrefix ?? 'Follow-up: '}${title}`)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/mixed; boundary="${boundary}"`
+    ];
+
+    return [
+        ...headers,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeMimeBody(body),
+        `--${boundary}`,
+        `Content-Type: text/markdown; charset=UTF-8; name="${attachmentName.replace(/"/g, '')}"`,
+        `Content-Disposition: attachment; filename*=UTF-8''${encodeURIComponent(attachmentName)}`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeMimeBody(formatAsMarkdown(transcript, attendeeReport)),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
+
 // --- Core Actions ---
-async function downloadFile(filename, content, mimeType, saveAs) {
-    const url = `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
-    chrome.downloads.download({
+function bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000; // Avoid call stack limits in String.fromCharCode
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+// Returns the download id
+function startDownload(filename, content, mimeType, saveAs, conflictAction = 'uniquify') {
+    // Binary formats (DOCX, ...) arrive as Uint8Array and are sent base64-encoded
+    const url = content instanceof Uint8Array
+        ? `data:${mimeType};base64,${bytesToBase64(content)}`
+        : `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+    return chrome.downloads.download({
         url: url,
         filename: filename,
-        saveAs: saveAs
+        saveAs: saveAs,
+        conflictAction: conflictAction
     });
+}
+
+// Rejects when the download can't start, e.g. for an invalid filename
+async function downloadFile(filename, content, mimeType, saveAs) {
+    await startDownload(filename, content, mimeType, saveAs);
     
     // Notify viewer that transcript was saved
     try {
@@ -176,72 +1454,323 @@ async function downloadFile(filename, content, mimeType, saveAs) {
     }
 }
 
-async function generateFilename(pattern, meetingTitle, format, attendeeReport) {
+// `exportContext` supplies the aliased transcript and attendee report for the
+// {speakers}, {organizer} and {duration} tokens
+async function generateFilename(pattern, format, exportContext, savedAt = new Date()) {
     const config = await loadExtensionConfig();
-    const now = new Date();
-    const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
-    const timeStr = now.toTimeString().split(' ')[0].replace(/:/g, '-'); // HH-MM-SS
-    const attendeeCount = attendeeReport ? attendeeReport.totalUniqueAttendees : 0;
-
-    const replacements = {
-        '{date}': dateStr,
-        '{time}': timeStr,
-        '{title}': getSanitizedMeetingName(meetingTitle),
-        '{format}': format,
-        '{attendees}': attendeeCount > 0 ? `${attendeeCount}_attendees` : ''
+    let filenamePattern = pattern || config.filenamePattern || DEFAULT_FILENAME_PATTERN;
+    const errors = validateFilenamePattern(filenamePattern);
+    if (errors.length > 0) {
+        console.warn(`[Service Worker] Invalid filename pattern "${filenamePattern}": ${errors.join(' ')} Using the default.`);
+        filenamePattern = DEFAULT_FILENAME_PATTERN;
+    }
+
+    return expandFilenamePattern(filenamePattern, {
+        meetingTitle: exportContext.meetingTitle,
+        format,
+        transcript: exportContext.transcript,
+        attendeeReport: exportContext.attendeeReport,
+        recordingStartTime: exportContext.recordingStartTime,
+        savedAt
+    });
+}
+
+// Render a single format. `exportContext` holds the aliased transcript/report plus
+// the originals; binary formats return their content as a Uint8Array.
+function renderTranscriptFormat(format, exportContext) {
+    const { transcript, originalTranscript, attendeeReport, meetingTitle, recordingStartTime, aliases } = exportContext;
+    const documentContext = { meetingTitle, recordingStartTime, meetingRecording: exportContext.meetingRecording, aliases, originalTranscript };
+
+    const template = getExportTemplate(exportContext.exportTemplates, format);
+    if (template) {
+        const extension = template.extension || 'txt';
+        return {
+            content: formatWithTemplate(template, exportContext),
+            extension,
+            mimeType: TEMPLATE_MIME_TYPES[extension] || 'text/plain'
+        };
+    }
+
+    switch (format) {
+        case 'md':
+            return { content: formatAsMarkdown(transcript, attendeeReport), extension: 'md', mimeType: 'text/markdown' };
+        case 'vault':
+            return {
+                content: formatAsVaultMarkdown(transcript, originalTranscript, attendeeReport, meetingTitle, recordingStartTime, exportContext.vaultTags),
+                extension: 'md',
+                mimeType: 'text/markdown'
+            };
+        case 'json':
+            return { content: formatAsJson(transcript, attendeeReport, documentContext), extension: 'json', mimeType: 'application/json' };
+        case 'yaml':
+            return { content: formatAsYaml(transcript, attendeeReport, documentContext), extension: 'yaml', mimeType: 'application/x-yaml' };
+        case 'vtt': {
+            const timeline = getSubtitleTimeline(transcript, recordingStartTime, exportContext.meetingRecording);
+            return { content: formatAsVtt(timeline.transcript, timeline.startTime, meetingTitle), extension: 'vtt', mimeType: 'text/vtt' };
+        }
+        case 'srt': {
+            const timeline = getSubtitleTimeline(transcript, recordingStartTime, exportContext.meetingRecording);
+            return { content: formatAsSrt(timeline.transcript, timeline.startTime), extension: 'srt', mimeType: 'application/x-subrip' };
+        }
+        case 'docx':
+            return {
+                content: formatAsDocx(transcript, attendeeReport, meetingTitle, recordingStartTime),
+                extension: 'docx',
+                mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+            };
+        case 'html':
+            return { content: formatAsHtml(transcript, attendeeReport, meetingTitle, recordingStartTime), extension: 'html', mimeType: 'text/html' };
+        case 'pdf':
+            return { content: formatAsPdf(transcript, attendeeReport, meetingTitle, recordingStartTime), extension: 'pdf', mimeType: 'application/pdf' };
+        case 'csv':
+            return { content: formatAsCsv(transcript, originalTranscript, recordingStartTime), extension: 'csv', mimeType: 'text/csv' };
+        case 'xlsx':
+            return {
+                content: formatAsXlsx(transcript, originalTranscript, attendeeReport, meetingTitle, recordingStartTime),
+                extension: 'xlsx',
+                mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            };
+        case 'confluence':
+            return { content: formatAsConfluence(transcript, attendeeReport, meetingTitle, recordingStartTime), extension: 'xml', mimeType: 'application/xml' };
+        case 'jira':
+            return { content: formatAsJiraWiki(transcript, attendeeReport, meetingTitle, recordingStartTime), extension: 'txt', mimeType: 'text/plain' };
+        case 'mediawiki':
+            return { content: formatAsMediaWiki(transcript, attendeeReport, meetingTitle, recordingStartTime), extension: 'wiki', mimeType: 'text/plain' };
+        case 'prompts':
+            return { content: formatAsPromptPack(transcript, meetingTitle, exportContext.promptPack), extension: 'zip', mimeType: 'application/zip' };
+        case 'attendance-md':
+            return { content: formatAsAttendanceMarkdown(attendeeReport, transcript, meetingTitle), extension: 'md', mimeType: 'text/markdown' };
+        case 'attendance-csv':
+            return { content: formatAsAttendanceCsv(attendeeReport, transcript), extension: 'csv', mimeType: 'text/csv' };
+        case 'eml':
+            return { content: formatAsEml(exportContext, exportContext.followUpEmail), extension: 'eml', mimeType: 'message/rfc822' };
+        case 'txt':
+        default:
+            return { content: formatAsTxt(transcript, attendeeReport), extension: 'txt', mimeType: 'text/plain' };
+    }
+}
+
+// --- Bundle (ZIP) Export ---
+function buildBundleMetadata(exportContext) {
+    const { transcript, originalTranscript, attendeeReport, meetingTitle, recordingStartTime, aliases = {} } = exportContext;
+    const manifest = chrome.runtime.getManifest();
+    const lastStart = Date.parse(originalTranscript[originalTranscript.length - 1]?.StartedAt);
+
+    return {
+        title: getSanitizedMeetingName(meetingTitle),
+        rawTitle: meetingTitle || '',
+        startTime: recordingStartTime || null,
+        endTime: isNaN(lastStart) ? new Date().toISOString() : new Date(lastStart).toISOString(),
+        duration: calculateDuration(originalTranscript),
+        captionCount: transcript.length,
+        attendeeCount: attendeeReport?.totalUniqueAttendees || 0,
+        speakers: [...new Set(transcript.map(entry => entry.Name))],
+        aliases: getAppliedAliases(aliases),
+        extensionVersion: manifest.version,
+        exportedAt: new Date().toISOString()
     };
-    
-    const defaultPattern = config.filenamePattern || '{date}_{title}';
-    let filename = pattern || defaultPattern;
-    for (const [key, value] of Object.entries(replacements)) {
-        filename = filename.replace(new RegExp(key.replace(/[{}]/g, '\\$&'), 'g'), value);
+}
+
+// Zip every enabled format plus metadata and the attendee report.
+// Entry names come from the same filename pattern as single-file saves.
+async function buildMeetingBundle(formats, exportContext, filenamePattern, savedAt = new Date()) {
+    const { attendeeReport } = exportContext;
+    const archive = new ZipArchive();
+    const usedNames = new Set();
+
+    for (const format of formats) {
+        const { content, extension } = renderTranscriptFormat(format, exportContext);
+        const formatToken = getFormatFilenameToken(format);
+        const baseName = await generateFilename(filenamePattern, formatToken, exportContext, savedAt);
+        archive.addFile(claimFilename(usedNames, baseName, extension, formatToken), content);
     }
-    
-    // Clean up any double underscores or trailing underscores
-    filename = filename.replace(/__+/g, '_').replace(/_+$/, '');
-    
+
+    if (attendeeReport) {
+        // {format} already yields "attendees" when the pattern uses it; {attendees} doesn't count
+        const attendeeName = await generateFilename(filenamePattern, 'attendees', exportContext, savedAt);
+        const usesFormat = attendeeName !== await generateFilename(filenamePattern, 'transcript', exportContext, savedAt);
+        const entryName = usesFormat ? attendeeName : `${attendeeName}_attendees`;
+        archive.addFile(claimFilename(usedNames, entryName, 'json', 'attendees'), JSON.stringify(attendeeReport, null, 2));
+    }
+
+    archive.addFile('metadata.json', JSON.stringify(buildBundleMetadata(exportContext), null, 2));
+    return archive.generate();
+}
+
+// Some formats share an extension (md/vault/templates), so later ones get a format suffix
+function claimFilename(usedNames, baseName, extension, formatToken) {
+    let filename = `${baseName}.${extension}`;
+    if (usedNames.has(filename)) {
+        filename = `${baseName}_${formatToken}.${extension}`;
+    }
+    usedNames.add(filename);
     return filename;
 }
 
-async function saveTranscript(meetingTitle, transcriptArray, aliases, format, recordingStartTime, saveAsPrompt, attendeeReport = null) {
-    const processedTranscript = applyAliasesToTranscript(transcriptArray, aliases);
-    const processedAttendeeReport = applyAliasesToAttendeeReport(attendeeReport, aliases);
+function resolveSaveFormat(config, format) {
+    const allowedFormats = getAvailableSaveFormats(config);
+    if (allowedFormats.includes(format)) return format;
+    const configDefault = config.defaultSaveFormat;
+    return configDefault && allowedFormats.includes(configDefault) ? configDefault : (allowedFormats[0] || 'md');
+}
 
-    const config = await loadExtensionConfig();
-    const allowedFormats = config.allowedSaveFormats || ['md', 'txt'];
-    let selectedFormat = allowedFormats.includes(format) ? format : null;
-    if (!selectedFormat) {
-        const configDefault = config.defaultSaveFormat;
-        if (configDefault && allowedFormats.includes(configDefault)) {
-            selectedFormat = configDefault;
-        } else {
-            selectedFormat = allowedFormats[0] || 'md';
+// The auto-save batch: autoSaveFormats when set, otherwise just defaultSaveFormat
+function resolveAutoSaveFormats(config, settings) {
+    const allowedFormats = getAvailableSaveFormats(config);
+    const requested = Array.isArray(settings.autoSaveFormats) && settings.autoSaveFormats.length > 0
+        ? settings.autoSaveFormats
+        : [settings.defaultSaveFormat];
+    const formats = [...new Set(requested.filter(format => allowedFormats.includes(format)))];
+    return formats.length > 0 ? formats : [resolveSaveFormat(config, settings.defaultSaveFormat)];
+}
+
+async function saveTranscript(meetingTitle, transcriptArray, aliases, format, recordingStartTime, saveAsPrompt, attendeeReport = null, meetingRecording = undefined) {
+    const config = await loadSaveConfig();
+    const selectedFormat = resolveSaveFormat(config, format);
+    const saved = await saveTranscriptFormats([selectedFormat], meetingTitle, transcriptArray, aliases, recordingStartTime, saveAsPrompt, attendeeReport, meetingRecording);
+    if (saved.length === 0) {
+        throw new Error(`Failed to save transcript as ${selectedFormat}`);
+    }
+}
+
+// Interim captions were still being rewritten by Teams when the save started.
+// Transcripts from before finalization was tracked have no FinalizedAt and count as final.
+function isFinalCaption(entry) {
+    return entry.FinalizedAt !== null;
+}
+
+// Caption and attendee times are rendered here, once, in the configured timestamp format.
+// `meetingRecording` defaults to the current meeting's; recovered backups bring their own.
+async function buildExportContext(meetingTitle, transcriptArray, aliases, recordingStartTime, attendeeReport, meetingRecording = undefined) {
+    const config = await loadSaveConfig();
+    const settings = await chrome.storage.sync.get(['aiInstructions', 'timestampFormat', 'timestampTimezone', 'finalCaptionsOnly']);
+    const { aiInstructions } = settings;
+    if (meetingRecording === undefined) {
+        ({ meetingRecording = null } = await chrome.storage.session.get('meetingRecording'));
+    }
+
+    const captions = settings.finalCaptionsOnly ? transcriptArray.filter(isFinalCaption) : transcriptArray;
+    const timestampOptions = getTimestampOptions(settings, transcriptArray, recordingStartTime, meetingRecording);
+    const timedTranscript = applyRecordingLinks(applyTimestampFormat(captions, timestampOptions), meetingRecording);
+    const timedAttendeeReport = applyTimestampFormatToReport(attendeeReport, timestampOptions);
+
+    return {
+        transcript: applyAliasesToTranscript(timedTranscript, aliases),
+        originalTranscript: timedTranscript,
+        attendeeReport: applyAliasesToAttendeeReport(timedAttendeeReport, aliases),
+        originalAttendeeReport: timedAttendeeReport,
+        meetingTitle,
+        recordingStartTime,
+        meetingRecording,
+        aliases: aliases || {},
+        exportTemplates: config.exportTemplates || {},
+        vaultTags: config.notesVault?.tags || [],
+        followUpEmail: config.followUpEmail || {},
+        promptPack: {
+            ...config.aiPromptPack,
+            ...(aiInstructions?.trim() ? { instructions: aiInstructions.trim() } : {})
         }
+    };
+}
+
+// Like renderTranscriptFormat, but also handles the bundle, which needs the filename pattern
+async function renderSaveFormat(format, exportContext, config, filenamePattern, savedAt) {
+    if (format !== 'bundle') {
+        return renderTranscriptFormat(format, exportContext);
     }
+    // The prompt pack is already an archive, so it isn't nested inside the bundle
+    const bundleFormats = getAvailableSaveFormats(config).filter(f => f !== 'bundle' && f !== 'prompts');
+    return {
+        content: await buildMeetingBundle(bundleFormats, exportContext, filenamePattern, savedAt),
+        extension: 'zip',
+        mimeType: 'application/zip'
+    };
+}
+
+// Base filename for a format, inside the vault folder for vault notes
+async function getSaveBaseName(format, exportContext, config, filenamePattern, savedAt) {
+    const baseName = await generateFilename(filenamePattern, getFormatFilenameToken(format), exportContext, savedAt);
+    const vaultFolder = format === 'vault' ? sanitizeFolderPath(config.notesVault?.folder) : '';
+    return vaultFolder ? `${vaultFolder}/${baseName}` : baseName;
+}
 
-    // Get filename pattern from settings
+// Render and download each format from one export context. The whole batch shares a
+// timestamp, so every file gets the same base name from generateFilename.
+// Returns the formats that were saved; a failing format doesn't stop the others.
+async function saveTranscriptFormats(formats, meetingTitle, transcriptArray, aliases, recordingStartTime, saveAsPrompt, attendeeReport = null, meetingRecording = undefined) {
+    const config = await loadSaveConfig();
     const { filenamePattern } = await chrome.storage.sync.get('filenamePattern');
-    const filename = await generateFilename(filenamePattern, meetingTitle, selectedFormat, processedAttendeeReport);
+    const exportContext = await buildExportContext(meetingTitle, transcriptArray, aliases, recordingStartTime, attendeeReport, meetingRecording);
 
-    let content, extension, mimeType;
+    const savedAt = new Date();
+    const usedNames = new Set();
+    const saved = [];
 
-    switch (selectedFormat) {
-        case 'md':
-            content = formatAsMarkdown(processedTranscript, processedAttendeeReport);
-            extension = 'md';
-            mimeType = 'text/markdown';
-            break;
-        case 'txt':
-        default:
-            content = formatAsTxt(processedTranscript, processedAttendeeReport);
-            extension = 'txt';
-            mimeType = 'text/plain';
-            break;
+    for (const format of formats) {
+        try {
+            const { content, extension, mimeType } = await renderSaveFormat(format, exportContext, config, filenamePattern, savedAt);
+            const baseName = await getSaveBaseName(format, exportContext, config, filenamePattern, savedAt);
+            const filename = claimFilename(usedNames, baseName, extension, getFormatFilenameToken(format));
+            await downloadFile(filename, content, mimeType, saveAsPrompt);
+            saved.push(format);
+        } catch (error) {
+            console.error(`[Service Worker] Failed to save transcript as ${format}:`, error);
+        }
     }
 
-    // Add extension to filename
-    const fullFilename = `${filename}.${extension}`;
-    downloadFile(fullFilename, content, mimeType, saveAsPrompt);
+    return saved;
+}
+
+// --- Checkpoints ---
+// While a long meeting runs, the transcript is written every few minutes to a "-partial"
+// file so a browser crash doesn't lose it. Each checkpoint overwrites the last one, and
+// the file is deleted once the final save at meeting end has gone through.
+const CHECKPOINT_SUFFIX = '-partial';
+
+function getMeetingSaveId(meetingTitle, recordingStartTime) {
+    return `${meetingTitle}_${recordingStartTime}`;
+}
+
+// The checkpoint uses the first auto-save format
+async function saveCheckpoint(meetingTitle, transcriptArray, aliases, recordingStartTime, attendeeReport) {
+    const config = await loadSaveConfig();
+    const settings = await chrome.storage.sync.get(['defaultSaveFormat', 'autoSaveFormats', 'filenamePattern']);
+    const [format] = resolveAutoSaveFormats(config, settings);
+    const exportContext = await buildExportContext(meetingTitle, transcriptArray, aliases, recordingStartTime, attendeeReport);
+
+    // Name it after the meeting start so every checkpoint lands on the same file
+    const startedAt = recordingStartTime ? new Date(recordingStartTime) : new Date();
+    const { content, extension, mimeType } = await renderSaveFormat(format, exportContext, config, settings.filenamePattern, startedAt);
+    const baseName = await getSaveBaseName(format, exportContext, config, settings.filenamePattern, startedAt);
+    const downloadId = await startDownload(`${baseName}${CHECKPOINT_SUFFIX}.${extension}`, content, mimeType, false, 'overwrite');
+
+    // The worker can be stopped between checkpoints, so the ids live in session storage
+    const saveId = getMeetingSaveId(meetingTitle, recordingStartTime);
+    const { checkpointDownloads = {} } = await chrome.storage.session.get('checkpointDownloads');
+    const ids = checkpointDownloads[saveId] || [];
+    if (downloadId !== undefined && !ids.includes(downloadId)) {
+        ids.push(downloadId);
+    }
+    checkpointDownloads[saveId] = ids;
+    await chrome.storage.session.set({ checkpointDownloads });
+    console.log(`[Service Worker] Checkpoint saved: ${transcriptArray.length} entries as ${format}`);
+}
+
+async function removeCheckpoints(saveId) {
+    const { checkpointDownloads = {} } = await chrome.storage.session.get('checkpointDownloads');
+    const ids = checkpointDownloads[saveId];
+    if (!ids) return;
+
+    for (const id of ids) {
+        try {
+            await chrome.downloads.removeFile(id);
+        } catch (error) {
+            // Already gone: an earlier id pointed to the same overwritten file, or the user moved it
+        }
+        chrome.downloads.erase({ id });
+    }
+    delete checkpointDownloads[saveId];
+    await chrome.storage.session.set({ checkpointDownloads });
 }
 
 // --- State Management ---
@@ -273,37 +1802,6 @@ function chunkArray(array, chunkSize) {
     return chunks;
 }
 
-// Helper function to calculate duration
-function calculateDuration(transcriptArray) {
-    if (!transcriptArray || transcriptArray.length === 0) return '0 min';
-    
-    try {
-        const firstTime = new Date(transcriptArray[0].Time);
-        const lastTime = new Date(transcriptArray[transcriptArray.length - 1].Time);
-        
-        // Check if dates are valid
-        if (isNaN(firstTime.getTime()) || isNaN(lastTime.getTime())) {
-            // Fallback: estimate based on caption count (avg 3 seconds per caption)
-            const estimatedMinutes = Math.round((transcriptArray.length * 3) / 60);
-            return `~${estimatedMinutes} min`;
-        }
-        
-        const durationMs = lastTime - firstTime;
-        const minutes = Math.round(durationMs / 60000);
-        
-        if (minutes < 60) {
-            return `${minutes} min`;
-        } else {
-            const hours = Math.floor(minutes / 60);
-            const mins = minutes % 60;
-            return `${hours}h ${mins}m`;
-        }
-    } catch (error) {
-        // If all else fails, show caption count
-        return `${transcriptArray.length} captions`;
-    }
-}
-
 chrome.runtime.onInstalled.addListener(() => {
     updateBadge(false);
     ensureDefaultSettings();
@@ -314,6 +1812,40 @@ chrome.runtime.onStartup.addListener(() => {
     ensureDefaultSettings();
 });
 
+// The content script can't read session storage, so aliases and the recording are copied into
+// the backup journal here for a capture resumed after a reload or crash
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'session' || !(changes.speakerAliases || changes.meetingRecording)) return;
+    try {
+        const { [JOURNAL_KEY]: meta } = await chrome.storage.local.get(JOURNAL_KEY);
+        if (!meta || meta.finishedAt) return;
+        const { speakerAliases = {}, meetingRecording = null } = await chrome.storage.session.get(['speakerAliases', 'meetingRecording']);
+        await chrome.storage.local.set({ [JOURNAL_SESSION_KEY]: { speakerAliases, meetingRecording } });
+    } catch (error) {
+        console.error('[Service Worker] Failed to back up session data:', error);
+    }
+});
+
+// Transcript, aliases, recording and attendee report of an unfinished backup journal, or null.
+// `journalKey` picks an orphaned journal instead of the one being written.
+async function getRecoverableJournal(journalKey = JOURNAL_KEY) {
+    const journal = await replayJournal(journalKey);
+    if (!journal || journal.meta.finishedAt || journal.transcript.length === 0) return null;
+    return {
+        meetingTitle: journal.meta.meetingTitle,
+        recordingStartTime: journal.meta.recordingStartTime,
+        // Teams can't change them any more, as when a capture is resumed
+        transcript: journal.transcript.map(({ key, ...rest }) => ({
+            ...rest,
+            FinalizedAt: rest.FinalizedAt || rest.LastUpdatedAt || rest.StartedAt || null,
+            Id: key
+        })),
+        aliases: journal.session.speakerAliases || {},
+        meetingRecording: journal.session.meetingRecording || null,
+        attendeeReport: getJournalAttendeeReport(journal.attendees)
+    };
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     (async () => {
         const { speakerAliases } = await chrome.storage.session.get('speakerAliases');
@@ -322,11 +1854,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             case 'save_session_history':
                 // Save meeting to session history using chrome.storage directly
                 try {
-                    // Since we can't import in service worker, implement inline
-                    const sessionId = `session_${Date.now()}`;
-                    const transcriptArray = message.transcriptArray;
+                    // The captions come from the content script's backup journal
+                    const journal = await replayJournal();
+                    if (!journal || journal.meta.recordingStartTime !== message.recordingStartTime) {
+                        console.warn('[Service Worker] No backup journal for this meeting, session not saved to history');
+                        break;
+                    }
+                    // One entry per meeting: a rejoin continues the journal, so its save replaces the earlier entry
+                    const sessionId = `session_${getFilenameMeetingId(journal.meta.meetingIdentity || message.meetingTitle, message.recordingStartTime)}`;
+                    const transcriptArray = journal.transcript;
                     const meetingTitle = message.meetingTitle;
                     const attendeeReport = message.attendeeReport;
+                    const { meetingRecording = null } = await chrome.storage.session.get('meetingRecording');
+                    const timestampOptions = getTimestampOptions(
+                        await chrome.storage.sync.get(['timestampFormat', 'timestampTimezone']), transcriptArray, message.recordingStartTime);
+                    // The session's own start time would always read +00:00:00 as elapsed time
+                    if (timestampOptions.format === 'elapsed' || timestampOptions.format === 'recording') {
+                        timestampOptions.format = DEFAULT_TIMESTAMP_FORMAT;
+                    }
                     
                     // Create session metadata
                     const metadata = {
@@ -334,13 +1879,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                         title: meetingTitle || 'Untitled Meeting',
                         timestamp: new Date().toISOString(),
                         date: new Date().toLocaleDateString(),
-                        time: new Date().toLocaleTimeString(),
+                        time: formatTimestamp(transcriptArray[0]?.StartedAt || new Date(), timestampOptions),
                         captionCount: transcriptArray.length,
                         duration: calculateDuration(transcriptArray),
                         speakers: [...new Set(transcriptArray.map(c => c.Name))].slice(0, 10),
                         attendees: attendeeReport?.attendeeList?.slice(0, 20),
                         attendeeCount: attendeeReport?.totalUniqueAttendees || 0,
-                        preview: transcriptArray.slice(0, 3).map(c => `${c.Name}: ${c.Text.substring(0, 50)}`).join(' | ')
+                        preview: transcriptArray.slice(0, 3).map(c => `${c.Name}: ${c.Text.substring(0, 50)}`).join(' | '),
+                        // Zero point and link for recording offsets when the session is reopened
+                        recording: meetingRecording
                     };
                     
                     // Save transcript in chunks to avoid size limits
@@ -361,6 +1908,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     
                     // Update session index
                     const { session_index = [] } = await chrome.storage.local.get('session_index');
+                    const previousIndex = session_index.findIndex(session => session.id === sessionId);
+                    if (previousIndex !== -1) {
+                        const [previous] = session_index.splice(previousIndex, 1);
+                        // The chunks just written replaced the earlier ones; drop any left over
+                        const staleKeys = [];
+                        for (let i = metadata.chunkCount; i < previous.chunkCount; i++) {
+                            staleKeys.push(`${sessionId}_chunk_${i}`);
+                        }
+                        if (!attendeeReport) staleKeys.push(`${sessionId}_attendees`);
+                        await chrome.storage.local.remove(staleKeys);
+                    }
                     session_index.push(metadata);
                     
                     // Keep only last 10 sessions
@@ -393,12 +1951,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     hasAttendeeReport: !!message.attendeeReport,
                     attendeeCount: message.attendeeReport?.totalUniqueAttendees || 0
                 });
-                await saveTranscript(message.meetingTitle, message.transcriptArray, speakerAliases, message.format, message.recordingStartTime, true, message.attendeeReport);
+                try {
+                    await saveTranscript(message.meetingTitle, message.transcriptArray, speakerAliases, message.format, message.recordingStartTime, true, message.attendeeReport);
+                    sendResponse({ success: true });
+                } catch (error) {
+                    console.error('[Service Worker] Save failed:', error);
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'update_meeting_recording': {
+                // Keep the recording link pasted in the popup; a new capture session starts over
+                const { meetingRecording = {} } = await chrome.storage.session.get('meetingRecording');
+                const base = message.newSession ? {} : meetingRecording;
+                await chrome.storage.session.set({ meetingRecording: { ...base, startedAt: message.startedAt || null } });
+                break;
+            }
+
+            case 'save_checkpoint':
+                try {
+                    await saveCheckpoint(message.meetingTitle, message.transcriptArray, speakerAliases, message.recordingStartTime, message.attendeeReport);
+                } catch (error) {
+                    console.error('[Service Worker] Checkpoint failed:', error);
+                }
                 break;
 
             case 'save_on_leave':
                 // Generate unique ID for this save request
-                const saveId = `${message.meetingTitle}_${message.recordingStartTime}`;
+                const saveId = getMeetingSaveId(message.meetingTitle, message.recordingStartTime);
                 
                 // Prevent duplicate saves
                 if (autoSaveInProgress || lastAutoSaveId === saveId) {
@@ -409,22 +1989,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 autoSaveInProgress = true;
                 lastAutoSaveId = saveId;
                 
+                // One guard covers the whole batch of formats
                 try {
-                    const settings = await chrome.storage.sync.get(['autoSaveOnEnd', 'defaultSaveFormat']);
-                    if (settings.autoSaveOnEnd && message.transcriptArray.length > 0) {
-                        const config = await loadExtensionConfig();
-                        const allowedFormats = config.allowedSaveFormats || ['md', 'txt'];
-                        let formatToSave = settings.defaultSaveFormat;
-                        if (!formatToSave || !allowedFormats.includes(formatToSave)) {
-                            if (config.defaultSaveFormat && allowedFormats.includes(config.defaultSaveFormat)) {
-                                formatToSave = config.defaultSaveFormat;
-                            } else {
-                                formatToSave = allowedFormats[0] || 'md';
-                            }
+                    const settings = await chrome.storage.sync.get(['autoSaveOnEnd', 'defaultSaveFormat', 'autoSaveFormats', 'checkpointIntervalMinutes']);
+                    // Checkpoints always end in a final save, so the partial file gets replaced
+                    if ((settings.autoSaveOnEnd || settings.checkpointIntervalMinutes > 0) && message.transcriptArray.length > 0) {
+                        const config = await loadSaveConfig();
+                        const formatsToSave = resolveAutoSaveFormats(config, settings);
+                        console.log(`Auto-saving transcript as ${formatsToSave.join(', ')}.`);
+                        const saved = await saveTranscriptFormats(formatsToSave, message.meetingTitle, message.transcriptArray, speakerAliases, message.recordingStartTime, false, message.attendeeReport);
+                        if (saved.length === 0) {
+                            throw new Error('None of the auto-save formats could be saved');
                         }
-                        console.log(`Auto-saving transcript in ${formatToSave.toUpperCase()} format.`);
-                        await saveTranscript(message.meetingTitle, message.transcriptArray, speakerAliases, formatToSave, message.recordingStartTime, false, message.attendeeReport);
-                        console.log('Auto-save completed successfully.');
+                        console.log(`Auto-save completed (${saved.length} of ${formatsToSave.length} formats).`);
+                        await removeCheckpoints(saveId);
                     }
                 } catch (error) {
                     console.error('Auto-save failed:', error);
@@ -435,6 +2013,49 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 }
                 break;
 
+            case 'restore_journal_session': {
+                const { [JOURNAL_SESSION_KEY]: journalSession } = await chrome.storage.local.get(JOURNAL_SESSION_KEY);
+                if (journalSession) {
+                    await chrome.storage.session.set({
+                        speakerAliases: journalSession.speakerAliases || {},
+                        meetingRecording: journalSession.meetingRecording || null
+                    });
+                }
+                break;
+            }
+
+            // Backups left behind by a crash, offered by the popup when there's no meeting to resume.
+            // An orphaned journal is deleted once saved; the current one is kept so a rejoin can continue it.
+            case 'save_journal_backup':
+                try {
+                    const journalKey = message.journalKey || JOURNAL_KEY;
+                    const backup = await getRecoverableJournal(journalKey);
+                    if (!backup) throw new Error('No backup to recover.');
+                    await saveTranscript(backup.meetingTitle, backup.transcript, backup.aliases, message.format, backup.recordingStartTime, false, backup.attendeeReport, backup.meetingRecording);
+                    await (journalKey === JOURNAL_KEY ? finishJournal() : clearJournal(journalKey));
+                    sendResponse({ success: true });
+                } catch (error) {
+                    console.error('[Service Worker] Failed to save recovered backup:', error);
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'view_journal_backup': {
+                const backup = await getRecoverableJournal(message.journalKey || JOURNAL_KEY);
+                if (backup) {
+                    await chrome.storage.local.set({
+                        viewerData: { transcriptArray: backup.transcript, meetingTitle: backup.meetingTitle, meetingRecording: backup.meetingRecording, isHistorical: true }
+                    });
+                    chrome.tabs.create({ url: chrome.runtime.getURL('viewer.html') });
+                }
+                break;
+            }
+
+            case 'discard_journal_backup':
+                await clearJournal(message.journalKey || JOURNAL_KEY);
+                sendResponse({ success: true });
+                break;
+
             case 'display_captions':
                 await createViewerTab(message.transcriptArray);
                 break;
@@ -202,8 +202,9 @@ class SessionManager {
     calculateDuration(transcriptArray) {
         if (transcriptArray.length === 0) return '0 min';
         
-        const firstTime = new Date(transcriptArray[0].Time);
-        const lastTime = new Date(transcriptArray[transcriptArray.length - 1].Time);
+        // Time is a display string; StartedAt is the ISO timestamp
+        const firstTime = new Date(transcriptArray[0].StartedAt || transcriptArray[0].Time);
+        const lastTime = new Date(transcriptArray[transcriptArray.length - 1].StartedAt || transcriptArray[transcriptArray.length - 1].Time);
         const durationMs = lastTime - firstTime;
         const minutes = Math.round(durationMs / 60000);
         
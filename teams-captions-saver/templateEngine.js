@@ -0,0 +1,124 @@
+// Template Engine - Renders user-defined export templates
+// Syntax:
+//   {{name}} / {{meeting.title}}        value lookup (missing values render as '')
+//   {{#each list}}...{{/each}}           loop; inside, item fields are in scope along with
+//                                        {{@index}}, {{@number}}, {{@first}}, {{@last}}
+//   {{#if value}}...{{else}}...{{/if}}   conditional (empty arrays and strings are false)
+//   {{#unless value}}...{{/unless}}      inverted conditional
+
+class TemplateEngine {
+    static TAG_PATTERN = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+    static BLOCKS = ['each', 'if', 'unless'];
+
+    // Parse a template string into a tree of text, variable and block nodes.
+    // Block nodes keep their body in `children` and anything after {{else}} in `inverse`.
+    static parse(template) {
+        const root = { type: 'root', children: [] };
+        const stack = [{ node: root, target: root.children }];
+        let lastIndex = 0;
+
+        for (const match of template.matchAll(TemplateEngine.TAG_PATTERN)) {
+            const [tag, marker, expression] = match;
+            const current = stack[stack.length - 1];
+            if (match.index > lastIndex) {
+                current.target.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+            }
+            lastIndex = match.index + tag.length;
+
+            if (marker === '#') {
+                const [blockName, ...args] = expression.split(/\s+/);
+                if (!TemplateEngine.BLOCKS.includes(blockName)) {
+                    throw new Error(`Unknown template block "{{#${blockName}}}"`);
+                }
+                if (args.length !== 1) {
+                    throw new Error(`Template block "{{#${blockName}}}" expects exactly one value`);
+                }
+                const block = { type: blockName, path: args[0], children: [], inverse: [] };
+                current.target.push(block);
+                stack.push({ node: block, target: block.children });
+            } else if (marker === '/') {
+                if (current.node.type !== expression) {
+                    throw new Error(`Unexpected "{{/${expression}}}" in template`);
+                }
+                stack.pop();
+            } else if (expression === 'else') {
+                if (current.node.type !== 'if' && current.node.type !== 'unless') {
+                    throw new Error('"{{else}}" is only allowed inside {{#if}} or {{#unless}}');
+                }
+                current.target = current.node.inverse;
+            } else {
+                current.target.push({ type: 'variable', path: expression });
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`Missing "{{/${stack[stack.length - 1].node.type}}}" in template`);
+        }
+        if (lastIndex < template.length) {
+            root.children.push({ type: 'text', value: template.slice(lastIndex) });
+        }
+        return root;
+    }
+
+    // Look a dotted path up through the scope chain, innermost scope first
+    static lookup(path, scopes) {
+        if (path === 'this' || path === '.') {
+            return scopes[scopes.length - 1];
+        }
+        const [head, ...rest] = path.split('.');
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            const scope = scopes[i];
+            if (scope !== null && typeof scope === 'object' && head in scope) {
+                return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+            }
+        }
+        return undefined;
+    }
+
+    static isTruthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return Boolean(value);
+    }
+
+    static renderNodes(nodes, scopes) {
+        let output = '';
+        for (const node of nodes) {
+            switch (node.type) {
+                case 'text':
+                    output += node.value;
+                    break;
+                case 'variable': {
+                    const value = TemplateEngine.lookup(node.path, scopes);
+                    output += value == null ? '' : String(value);
+                    break;
+                }
+                case 'each': {
+                    const list = TemplateEngine.lookup(node.path, scopes);
+                    if (!Array.isArray(list)) break;
+                    list.forEach((item, index) => {
+                        const loopScope = { '@index': index, '@number': index + 1, '@first': index === 0, '@last': index === list.length - 1 };
+                        output += TemplateEngine.renderNodes(node.children, [...scopes, loopScope, item]);
+                    });
+                    break;
+                }
+                case 'if':
+                case 'unless': {
+                    let condition = TemplateEngine.isTruthy(TemplateEngine.lookup(node.path, scopes));
+                    if (node.type === 'unless') condition = !condition;
+                    output += TemplateEngine.renderNodes(condition ? node.children : node.inverse, scopes);
+                    break;
+                }
+            }
+        }
+        return output;
+    }
+
+    static render(template, data) {
+        return TemplateEngine.renderNodes(TemplateEngine.parse(template).children, [data]);
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateEngine;
+}
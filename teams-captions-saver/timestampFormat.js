@@ -0,0 +1,135 @@
+// Timestamp Formatting - Renders caption and attendee times per the `timestampFormat` setting
+// Shared by the service worker (save), the popup (copy) and the viewer (display, copy, export).
+// Captions carry an ISO `StartedAt`; the locale `Time` string is only used for older data.
+// `meetingRecording` ({ startedAt, url }) is the Teams recording detected in the meeting chat.
+// `Reconnected` ({ At, GapSeconds }) marks the first caption after rejoining a meeting.
+
+const TIMESTAMP_FORMATS = {
+    '12hr': '12-hour (2:05:09 PM)',
+    '24hr': '24-hour (14:05:09)',
+    iso: 'ISO 8601 (2025-01-15T14:05:09+01:00)',
+    elapsed: 'Elapsed since start (+00:12:34)',
+    recording: 'Offset into the recording (+00:12:34)'
+};
+const DEFAULT_TIMESTAMP_FORMAT = '12hr';
+
+// `settings` holds timestampFormat and timestampTimezone from storage; elapsed times
+// count from the capture start, or the first caption when it's unknown. Recording offsets
+// count from the Teams recording and fall back to elapsed times until one is detected.
+function getTimestampOptions(settings, transcript, recordingStartTime, meetingRecording = null) {
+    const format = settings?.timestampFormat === 'relative' ? 'elapsed' : settings?.timestampFormat;
+    const zeroPoint = format === 'recording' && meetingRecording?.startedAt ? meetingRecording.startedAt : recordingStartTime;
+    const startTime = new Date(zeroPoint || transcript?.[0]?.StartedAt || NaN);
+    return {
+        format: Object.prototype.hasOwnProperty.call(TIMESTAMP_FORMATS, format) ? format : DEFAULT_TIMESTAMP_FORMAT,
+        showTimezone: settings?.timestampTimezone === true,
+        startTime: isNaN(startTime) ? null : startTime
+    };
+}
+
+// Negative for captions spoken before the recording started
+function formatElapsed(milliseconds) {
+    const sign = milliseconds < 0 ? '-' : '+';
+    const totalSeconds = Math.floor(Math.abs(milliseconds) / 1000);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${sign}${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+}
+
+// Local time with its UTC offset, e.g. 2025-01-15T14:05:09+01:00
+function formatLocalIso(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+        `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+function formatTimestamp(value, options) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date)) return '';
+
+    switch (options.format) {
+        case 'elapsed':
+        case 'recording':
+            return options.startTime ? formatElapsed(date - options.startTime) : formatElapsed(0);
+        case 'iso':
+            // The offset already identifies the time zone
+            return formatLocalIso(date);
+        case '24hr':
+            return date.toLocaleTimeString(undefined, {
+                hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+                ...(options.showTimezone ? { timeZoneName: 'short' } : {})
+            });
+        default:
+            return date.toLocaleTimeString(undefined, {
+                hour: 'numeric', minute: '2-digit', second: '2-digit', hour12: true,
+                ...(options.showTimezone ? { timeZoneName: 'short' } : {})
+            });
+    }
+}
+
+// Older captions without StartedAt keep the time they were stored with
+function formatCaptionTime(entry, options) {
+    return entry.StartedAt ? formatTimestamp(entry.StartedAt, options) || entry.Time : entry.Time;
+}
+
+function applyTimestampFormat(transcript, options) {
+    if (!transcript) return transcript;
+    return transcript.map(entry => ({
+        ...entry,
+        Time: formatCaptionTime(entry, options),
+        ...(entry.Reconnected ? { Reconnected: { ...entry.Reconnected, Time: formatTimestamp(entry.Reconnected.At, options) } } : {})
+    }));
+}
+
+// e.g. "Reconnected at 2:05:09 PM after 3 min away"; `Time` is set by applyTimestampFormat
+function describeReconnection(reconnected) {
+    const minutes = Math.round((reconnected.GapSeconds || 0) / 60);
+    const gap = minutes < 1 ? 'less than a minute'
+        : minutes < 60 ? `${minutes} min`
+        : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    return `Reconnected at ${reconnected.Time || reconnected.At} after ${gap} away`;
+}
+
+// Reformats the `time` of attendee events that carry an ISO `timestamp`
+function applyTimestampFormatToReport(attendeeReport, options) {
+    if (!attendeeReport?.attendeeHistory) return attendeeReport;
+    return {
+        ...attendeeReport,
+        attendeeHistory: attendeeReport.attendeeHistory.map(event => event.timestamp
+            ? { ...event, time: formatTimestamp(event.timestamp, options) || event.time }
+            : event)
+    };
+}
+
+// Link to the caption's moment in the recording, e.g. https://.../stream.aspx?id=...&t=754.
+// Null without a recording URL and start, or for captions from before the recording.
+function getRecordingLink(entry, meetingRecording) {
+    if (!meetingRecording?.url || !meetingRecording.startedAt || !entry.StartedAt) return null;
+
+    const offsetSeconds = Math.floor((new Date(entry.StartedAt) - new Date(meetingRecording.startedAt)) / 1000);
+    if (isNaN(offsetSeconds) || offsetSeconds < 0) return null;
+    try {
+        const { protocol } = new URL(meetingRecording.url);
+        if (protocol !== 'https:' && protocol !== 'http:') return null;
+    } catch (error) {
+        return null;
+    }
+
+    // Edit the string rather than URL.searchParams, which would re-encode the other parameters
+    const [base, hash] = meetingRecording.url.trim().split(/#(.*)/s);
+    const withoutOffset = base.replace(/([?&])t=[^&]*(&|$)/, (match, lead, trail) => (trail ? lead : '')).replace(/[?&]$/, '');
+    const separator = withoutOffset.includes('?') ? '&' : '?';
+    return `${withoutOffset}${separator}t=${offsetSeconds}${hash ? `#${hash}` : ''}`;
+}
+
+function applyRecordingLinks(transcript, meetingRecording) {
+    if (!transcript || !meetingRecording?.url) return transcript;
+    return transcript.map(entry => ({ ...entry, RecordingLink: getRecordingLink(entry, meetingRecording) }));
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TIMESTAMP_FORMATS, getTimestampOptions, formatTimestamp, formatCaptionTime, applyTimestampFormat, applyTimestampFormatToReport, describeReconnection, getRecordingLink, applyRecordingLinks };
+}
@@ -6,15 +6,21 @@ document.addEventListener('DOMContentLoaded', () => {
     const copyAllBtn = document.getElementById('copy-all-btn');
     const saveAllBtn = document.getElementById('save-all-btn');
     const historyBtn = document.getElementById('history-btn');
+    const printBtn = document.getElementById('print-btn');
+    const printView = document.getElementById('print-view');
     const sessionModal = document.getElementById('sessionModal');
     const sessionListModal = document.getElementById('sessionListModal');
     const closeModal = document.querySelector('.close-modal');
 
     // --- State ---
     let allCaptions = [];
+    let currentAttendeeReport = null;
     let searchDebounceTimer = null;
     let meetingStartTime = null;
     let meetingEndTime = null;
+    let timestampOptions = getTimestampOptions(null);
+    let meetingRecording = null; // { startedAt, url } of the Teams recording, if any
+    let isHistoricalView = false;
     const SEARCH_DEBOUNCE_DELAY = 300;
     
     // Live streaming state
@@ -49,6 +55,9 @@ document.addEventListener('DOMContentLoaded', () => {
     function appendNewCaption(caption) {
         // Add to data array
         allCaptions.push(caption);
+        if (!timestampOptions.startTime && caption.StartedAt) {
+            timestampOptions.startTime = new Date(caption.StartedAt);
+        }
         
         // Create HTML for new caption
         const newCaptionHTML = createCaptionHTML(caption, allCaptions.length - 1);
@@ -92,13 +101,14 @@ document.addEventListener('DOMContentLoaded', () => {
         updateLiveIndicator();
     }
     
-    function updateExistingCaption(caption) {
+    function updateExistingCaption(caption, status) {
         const captionElement = captionsContainer.querySelector(`[data-index="${allCaptions.findIndex(c => c.key === caption.key)}"]`);
         if (captionElement) {
             const textElement = captionElement.querySelector('.text');
             if (textElement) {
                 textElement.textContent = caption.Text;
             }
+            captionElement.classList.toggle('interim', status === 'interim');
         }
         
         // Update in data array
@@ -115,8 +125,8 @@ document.addEventListener('DOMContentLoaded', () => {
         pendingUpdates.forEach(update => {
             if (update.type === 'new') {
                 appendNewCaption(update.caption);
-            } else if (update.type === 'update') {
-                updateExistingCaption(update.caption);
+            } else if (update.type === 'update' || update.type === 'final') {
+                updateExistingCaption(update.caption, update.status);
             }
         });
         
@@ -188,20 +198,37 @@ document.addEventListener('DOMContentLoaded', () => {
             </svg>`;
         
         return `
-            <div class="caption" data-speaker="${escapeHtml(item.Name)}" data-index="${index}">
+            <div class="caption${item.FinalizedAt === null ? ' interim' : ''}" data-speaker="${escapeHtml(item.Name)}" data-index="${index}">
+                ${createReconnectedHTML(item)}
                 <button class="copy-btn" title="Copy this line" aria-label="Copy this line">
                     ${copyIconSVG}
                     <span class="tooltip-text">Copy</span>
                 </button>
                 <div class="caption-header">
                     <span class="name">${escapeHtml(item.Name)}</span>
-                    <span class="time">${escapeHtml(item.Time)}</span>
+                    ${createTimeHTML(item)}
                 </div>
                 <p class="text">${escapeHtml(item.Text)}</p>
             </div>
         `;
     }
 
+    // Marks where the meeting was rejoined or the page reloaded
+    function createReconnectedHTML(item) {
+        if (!item.Reconnected) return '';
+        const reconnected = { ...item.Reconnected, Time: formatTimestamp(item.Reconnected.At, timestampOptions) };
+        return `<div class="reconnected">${escapeHtml(describeReconnection(reconnected))}</div>`;
+    }
+
+    // Links to the caption's moment in the recording when a recording URL is set
+    function createTimeHTML(item) {
+        const time = escapeHtml(formatCaptionTime(item, timestampOptions));
+        const link = getRecordingLink(item, meetingRecording);
+        return link
+            ? `<a class="time" href="${escapeHtml(link)}" target="_blank" rel="noopener" title="Play in recording">${time}</a>`
+            : `<span class="time">${time}</span>`;
+    }
+
     function renderCaptions(transcriptArray) {
         allCaptions = transcriptArray;
         const htmlContent = transcriptArray.map(createCaptionHTML).join('');
@@ -258,6 +285,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         copyAllBtn.disabled = !hasVisibleCaptions;
         saveAllBtn.disabled = !hasVisibleCaptions;
+        printBtn.disabled = !hasVisibleCaptions;
         
         // Update titles with count
         copyAllBtn.title = hasVisibleCaptions 
@@ -293,7 +321,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         if (!captionData) return;
 
-        const textToCopy = `[${captionData.Time}] ${captionData.Name}: ${captionData.Text}`;
+        const textToCopy = `[${formatCaptionTime(captionData, timestampOptions)}] ${captionData.Name}: ${captionData.Text}`;
         try {
             await navigator.clipboard.writeText(textToCopy);
             copyButton.classList.add('copied');
@@ -338,9 +366,11 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         if (format === 'markdown') {
-            return captions.map(entry => `**${entry.Name}** (${entry.Time}): ${entry.Text}`).join('\n\n');
+            return captions.map(entry => (entry.Reconnected ? `*— ${describeReconnection(entry.Reconnected)} —*\n\n` : '') +
+                `**${entry.Name}** (${entry.Time}): ${entry.Text}`).join('\n\n');
         } else {
-            return captions.map(entry => `[${entry.Time}] ${entry.Name}: ${entry.Text}`).join('\n');
+            return captions.map(entry => (entry.Reconnected ? `--- ${describeReconnection(entry.Reconnected)} ---\n` : '') +
+                `[${entry.Time}] ${entry.Name}: ${entry.Text}`).join('\n');
         }
     }
     
@@ -352,10 +382,13 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
-        const textToCopy = formatTranscriptForExport(visibleCaptions);
-        
         try {
-            await navigator.clipboard.writeText(textToCopy);
+            const { speakerAliases = {} } = await chrome.storage.session.get('speakerAliases');
+            const captions = applySpeakerAliases(applyTimestampFormat(visibleCaptions, timestampOptions), speakerAliases);
+            const timedReport = applyTimestampFormatToReport(await getCurrentAttendeeReport(), timestampOptions);
+            const attendeeReport = applyAliasesToAttendeeReport(timedReport, speakerAliases);
+            const html = formatAsClipboardHtml(captions, attendeeReport, getViewerTitle(), captions[0]?.StartedAt);
+            await writeRichClipboard(html, formatTranscriptForExport(captions));
             showButtonSuccess(copyAllBtn, 'Copied!', 'Copy All');
             showNotification(`Copied ${visibleCaptions.length} caption(s) to clipboard`, 'success');
         } catch (err) {
@@ -373,7 +406,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         // Create download
-        const content = formatTranscriptForExport(visibleCaptions);
+        const content = formatTranscriptForExport(applyTimestampFormat(visibleCaptions, timestampOptions));
         const now = new Date();
         const dateStr = now.toISOString().split('T')[0];
         const timeStr = now.toTimeString().split(' ')[0].replace(/:/g, '-');
@@ -403,6 +436,111 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
+    // --- Timestamps ---
+    // Elapsed times count from the first caption of whatever transcript is shown
+    async function loadTimestampOptions(transcript) {
+        const settings = await chrome.storage.sync.get(['timestampFormat', 'timestampTimezone']);
+        timestampOptions = getTimestampOptions(settings, transcript, null, meetingRecording);
+    }
+
+    // Re-render when the format is changed in the popup, or a recording is detected or
+    // linked during the live meeting, while the viewer is open
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+        const timestampChanged = areaName === 'sync' && (changes.timestampFormat || changes.timestampTimezone);
+        const recordingChanged = areaName === 'session' && changes.meetingRecording && !isHistoricalView;
+        if (!timestampChanged && !recordingChanged) return;
+        if (recordingChanged) {
+            meetingRecording = changes.meetingRecording.newValue || null;
+        }
+        await loadTimestampOptions(allCaptions);
+        if (allCaptions.length > 0) {
+            renderCaptions(allCaptions);
+            applyFilters();
+        }
+    });
+
+    // --- Print & Rich Copy Functions ---
+    function applySpeakerAliases(captions, aliases = {}) {
+        return captions.map(caption => ({
+            ...caption,
+            Name: getAliasDisplayName(aliases[caption.Name]) || caption.Name
+        }));
+    }
+
+    async function getCurrentAttendeeReport() {
+        if (currentAttendeeReport) return currentAttendeeReport;
+        try {
+            const tabs = await chrome.tabs.query({ url: "https://teams.microsoft.com/*" });
+            if (tabs.length > 0) {
+                const response = await chrome.tabs.sendMessage(tabs[0].id, { message: "get_attendee_report" });
+                return response?.attendeeReport || null;
+            }
+        } catch (error) {
+            // Teams tab not available, continue without attendee data
+        }
+        return null;
+    }
+
+    // Meeting title shown in the header, without the "(Historical)" badge
+    function getViewerTitle() {
+        return document.querySelector('h1').firstChild?.textContent.trim() || 'Teams Transcript';
+    }
+
+    function buildPrintView(captions, attendeeReport) {
+        const title = getViewerTitle();
+        const firstStart = new Date(captions[0]?.StartedAt || Date.now());
+        const dateLabel = isNaN(firstStart) ? '' : firstStart.toLocaleString();
+
+        let html = `
+            <div class="print-cover">
+                <h1>${escapeHtml(title)}</h1>
+                ${dateLabel ? `<p>${escapeHtml(dateLabel)}</p>` : ''}
+                <p>Duration: ${escapeHtml(calculateDuration(captions))}</p>
+                <p>Attendees: ${attendeeReport?.totalUniqueAttendees || 0}</p>
+                <p>Captions: ${captions.length}</p>
+            </div>
+        `;
+
+        let lastSpeaker = null;
+        captions.forEach(caption => {
+            if (caption.Name !== lastSpeaker) {
+                if (lastSpeaker !== null) html += '</div>';
+                lastSpeaker = caption.Name;
+                html += `<div class="print-turn"><div class="print-speaker">${escapeHtml(caption.Name)}<span class="time">${escapeHtml(caption.Time)}</span></div>`;
+            }
+            html += `<p>${escapeHtml(caption.Text)}</p>`;
+        });
+        if (lastSpeaker !== null) html += '</div>';
+
+        printView.innerHTML = html;
+
+        // Running page header; CSS strings can't reference DOM text, so inject it
+        const cssString = value => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ')}"`;
+        let headerStyle = document.getElementById('print-header-style');
+        if (!headerStyle) {
+            headerStyle = document.createElement('style');
+            headerStyle.id = 'print-header-style';
+            document.head.appendChild(headerStyle);
+        }
+        headerStyle.textContent = `@media print { @page {
+            @top-left { content: ${cssString(title)}; font-size: 9pt; color: #808080; }
+            @top-right { content: ${cssString(isNaN(firstStart) ? '' : firstStart.toLocaleDateString())}; font-size: 9pt; color: #808080; }
+        } }`;
+    }
+
+    async function handlePrintClick() {
+        const visibleCaptions = getVisibleCaptions();
+        if (visibleCaptions.length === 0) {
+            showNotification('No visible captions to print', 'warning');
+            return;
+        }
+
+        const { speakerAliases = {} } = await chrome.storage.session.get('speakerAliases');
+        const attendeeReport = applyTimestampFormatToReport(await getCurrentAttendeeReport(), timestampOptions);
+        buildPrintView(applySpeakerAliases(applyTimestampFormat(visibleCaptions, timestampOptions), speakerAliases), attendeeReport);
+        window.print();
+    }
+    
     function showButtonSuccess(button, successText, originalText) {
         const originalHtml = button.innerHTML;
         button.classList.add('success');
@@ -486,6 +624,7 @@ document.addEventListener('DOMContentLoaded', () => {
         captionsContainer.addEventListener('click', handleCopyClick);
         copyAllBtn.addEventListener('click', handleCopyAllClick);
         saveAllBtn.addEventListener('click', handleSaveAllClick);
+        printBtn.addEventListener('click', handlePrintClick);
         
         // Session history handlers
         historyBtn.addEventListener('click', showSessionHistory);
@@ -556,6 +695,10 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Load the transcript
             allCaptions = sessionData.transcript;
+            isHistoricalView = true;
+            meetingRecording = sessionData.metadata.recording || null;
+            await loadTimestampOptions(allCaptions);
+            currentAttendeeReport = sessionData.attendeeReport;
             isLiveStreaming = false; // Historical data, not live
             
             // Update title
@@ -617,8 +760,16 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (viewerData.isHistorical && viewerData.meetingTitle) {
                     document.querySelector('h1').innerHTML = `${escapeHtml(viewerData.meetingTitle)} <span style="font-size: 0.5em; color: #666;">(Historical)</span>`;
                 }
+                isHistoricalView = viewerData.isHistorical === true;
+                // Recovered backups carry the recording of their own meeting
+                meetingRecording = viewerData.meetingRecording || null;
             }
 
+            if (!isHistoricalView) {
+                ({ meetingRecording = null } = await chrome.storage.session.get('meetingRecording'));
+            }
+            await loadTimestampOptions(transcript);
+
             if (transcript && transcript.length > 0) {
                 // Calculate and display analytics
                 const analytics = calculateAnalytics(transcript);
@@ -799,45 +950,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // --- Analytics Functions ---
-    function calculateAnalytics(captions) {
-        if (!captions || captions.length === 0) return null;
-        
-        const speakerStats = {};
-        let totalWords = 0;
-        
-        // Calculate speaker statistics
-        captions.forEach(caption => {
-            const speaker = caption.Name;
-            const words = caption.Text.split(/\s+/).length;
-            
-            if (!speakerStats[speaker]) {
-                speakerStats[speaker] = {
-                    messageCount: 0,
-                    wordCount: 0,
-                    firstMessage: caption.Time,
-                    lastMessage: caption.Time
-                };
-            }
-            
-            speakerStats[speaker].messageCount++;
-            speakerStats[speaker].wordCount += words;
-            speakerStats[speaker].lastMessage = caption.Time;
-            totalWords += words;
-        });
-        
-        // Calculate percentages
-        Object.keys(speakerStats).forEach(speaker => {
-            speakerStats[speaker].wordPercentage = ((speakerStats[speaker].wordCount / totalWords) * 100).toFixed(1);
-        });
-        
-        return {
-            totalMessages: captions.length,
-            totalWords: totalWords,
-            uniqueSpeakers: Object.keys(speakerStats).length,
-            speakerStats: speakerStats
-        };
-    }
-    
+    // calculateAnalytics() is provided by analytics.js
     function displayAnalytics(analytics) {
         if (!analytics) return;
         
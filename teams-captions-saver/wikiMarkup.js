@@ -0,0 +1,158 @@
+// Wiki Markup - Confluence storage format, Jira wiki and MediaWiki renderers
+// Shared by the service worker (save) and the popup (copy).
+// Depends on analytics.js, filenamePattern.js and timestampFormat.js.
+
+// Also used by the service worker's DOCX, XLSX and HTML exports
+function escapeXml(value) {
+    return String(value ?? '')
+        // Strip control characters that are not allowed in XML 1.0
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Common document model: title, detail lines, attendee table and consecutive speaker turns.
+// A turn after a rejoin carries the `reconnected` marker text.
+function buildWikiDocument(transcript, attendeeReport, meetingTitle, recordingStartTime) {
+    const startDate = new Date(recordingStartTime || attendeeReport?.meetingStartTime || transcript[0]?.StartedAt || Date.now());
+    const speakers = [...new Set(transcript.map(entry => entry.Name))];
+
+    const turns = [];
+    transcript.forEach(entry => {
+        const lastTurn = turns[turns.length - 1];
+        if (lastTurn && lastTurn.speaker === entry.Name && !entry.Reconnected) {
+            lastTurn.lines.push(entry.Text);
+        } else {
+            turns.push({
+                speaker: entry.Name,
+                time: entry.Time,
+                lines: [entry.Text],
+                reconnected: entry.Reconnected ? describeReconnection(entry.Reconnected) : null
+            });
+        }
+    });
+
+    return {
+        title: getSanitizedMeetingName(meetingTitle),
+        details: [
+            ['Date', isNaN(startDate) ? '' : startDate.toLocaleString()],
+            ['Duration', calculateDuration(transcript)],
+            ['Speakers', speakers.join(', ')],
+            ['Captions', String(transcript.length)]
+        ],
+        attendeeHeaders: ['Name', 'Role', 'Joined', 'Left'],
+        attendeeRows: buildAttendeeRows(attendeeReport).map(row => [row.name, row.role, row.joined, row.left]),
+        turns
+    };
+}
+
+// --- Confluence storage format (XHTML with ac: macros) ---
+function formatAsConfluence(transcript, attendeeReport, meetingTitle, recordingStartTime) {
+    const doc = buildWikiDocument(transcript, attendeeReport, meetingTitle, recordingStartTime);
+    const parts = [`<h1>${escapeXml(doc.title)}</h1>`];
+
+    parts.push(doc.details.map(([label, value]) => `<p><strong>${label}:</strong> ${escapeXml(value)}</p>`).join('\n'));
+
+    parts.push('<h2>Attendees</h2>');
+    if (doc.attendeeRows.length) {
+        const header = `<tr>${doc.attendeeHeaders.map(h => `<th>${h}</th>`).join('')}</tr>`;
+        const rows = doc.attendeeRows.map(row => `<tr>${row.map(cell => `<td>${escapeXml(cell)}</td>`).join('')}</tr>`);
+        parts.push(`<table><tbody>\n${header}\n${rows.join('\n')}\n</tbody></table>`);
+    } else {
+        parts.push('<p><em>No attendee data recorded.</em></p>');
+    }
+
+    parts.push('<h2>Transcript</h2>');
+    doc.turns.forEach(turn => {
+        if (turn.reconnected) parts.push(`<p><em>${escapeXml(turn.reconnected)}</em></p>`);
+        parts.push([
+            '<ac:structured-macro ac:name="panel">',
+            `<ac:parameter ac:name="title">${escapeXml(`${turn.speaker} (${turn.time})`)}</ac:parameter>`,
+            `<ac:rich-text-body>${turn.lines.map(line => `<p>${escapeXml(line)}</p>`).join('')}</ac:rich-text-body>`,
+            '</ac:structured-macro>'
+        ].join('\n'));
+    });
+
+    return parts.join('\n') + '\n';
+}
+
+// --- Jira wiki markup (also accepted by Confluence's "Insert markup" dialog) ---
+function escapeJiraText(value) {
+    return String(value ?? '')
+        .replace(/\r?\n/g, ' ')
+        .replace(/([*_?\-+^~{}[\]|!#])/g, '\\$1');
+}
+
+// Macro parameters can't be escaped, so drop the characters that end them
+function escapeJiraParameter(value) {
+    return String(value ?? '').replace(/[{}|=\r\n]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function formatAsJiraWiki(transcript, attendeeReport, meetingTitle, recordingStartTime) {
+    const doc = buildWikiDocument(transcript, attendeeReport, meetingTitle, recordingStartTime);
+    const parts = [`h1. ${escapeJiraText(doc.title)}`, ''];
+
+    doc.details.forEach(([label, value]) => parts.push(`*${label}:* ${escapeJiraText(value)}`));
+
+    parts.push('', 'h2. Attendees', '');
+    if (doc.attendeeRows.length) {
+        parts.push(`||${doc.attendeeHeaders.join('||')}||`);
+        // Empty cells need a space or Jira merges the separators
+        doc.attendeeRows.forEach(row => parts.push(`|${row.map(cell => escapeJiraText(cell) || ' ').join('|')}|`));
+    } else {
+        parts.push('_No attendee data recorded._');
+    }
+
+    parts.push('', 'h2. Transcript', '');
+    doc.turns.forEach(turn => {
+        if (turn.reconnected) parts.push(`_${escapeJiraText(turn.reconnected)}_`, '');
+        parts.push(`{panel:title=${escapeJiraParameter(`${turn.speaker} (${turn.time})`)}}`);
+        turn.lines.forEach(line => parts.push(escapeJiraText(line)));
+        parts.push('{panel}', '');
+    });
+
+    return parts.join('\n').trimEnd() + '\n';
+}
+
+// --- MediaWiki markup ---
+// Markup characters anywhere, or list/indent/heading syntax at the start of a line
+const MEDIAWIKI_SPECIAL = /[[\]{}|'<>&~=_]|^[\s*#:;-]/;
+
+// <nowiki> stops wikitext parsing; entities keep the text from closing the tag
+function escapeMediaWikiText(value) {
+    const text = String(value ?? '').replace(/\r?\n/g, ' ');
+    if (!MEDIAWIKI_SPECIAL.test(text)) return text;
+    return `<nowiki>${text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</nowiki>`;
+}
+
+function formatAsMediaWiki(transcript, attendeeReport, meetingTitle, recordingStartTime) {
+    const doc = buildWikiDocument(transcript, attendeeReport, meetingTitle, recordingStartTime);
+    const parts = [`= ${escapeMediaWikiText(doc.title)} =`, ''];
+
+    doc.details.forEach(([label, value]) => parts.push(`'''${label}:''' ${escapeMediaWikiText(value)}<br />`));
+
+    parts.push('', '== Attendees ==', '');
+    if (doc.attendeeRows.length) {
+        parts.push('{| class="wikitable"', `! ${doc.attendeeHeaders.join(' !! ')}`);
+        doc.attendeeRows.forEach(row => parts.push('|-', `| ${row.map(escapeMediaWikiText).join(' || ')}`));
+        parts.push('|}');
+    } else {
+        parts.push("''No attendee data recorded.''");
+    }
+
+    parts.push('', '== Transcript ==', '');
+    doc.turns.forEach(turn => {
+        if (turn.reconnected) parts.push(`''${escapeMediaWikiText(turn.reconnected)}''`, '');
+        parts.push(`'''${escapeMediaWikiText(turn.speaker)}''' (${escapeMediaWikiText(turn.time)}):`);
+        parts.push(`<blockquote>${turn.lines.map(escapeMediaWikiText).join('<br />\n')}</blockquote>`, '');
+    });
+
+    return parts.join('\n').trimEnd() + '\n';
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { escapeXml, formatAsConfluence, formatAsJiraWiki, formatAsMediaWiki };
+}
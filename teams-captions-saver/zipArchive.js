@@ -0,0 +1,118 @@
+// Zip Archive - Minimal ZIP writer used to build DOCX/XLSX packages and bundles locally
+// Entries are stored uncompressed, which every ZIP reader (and Office) accepts.
+
+class ZipArchive {
+    constructor() {
+        this.entries = [];
+        this.encoder = new TextEncoder();
+    }
+
+    // CRC-32 lookup table, built once and shared by all archives
+    static get crcTable() {
+        if (!ZipArchive._crcTable) {
+            const table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                table[n] = c >>> 0;
+            }
+            ZipArchive._crcTable = table;
+        }
+        return ZipArchive._crcTable;
+    }
+
+    static crc32(bytes) {
+        const table = ZipArchive.crcTable;
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Convert a Date to the MS-DOS time/date pair stored in ZIP headers
+    static toDosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    // Add a file; content may be a string (encoded as UTF-8) or a Uint8Array
+    addFile(path, content, modified = new Date()) {
+        const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+        this.entries.push({
+            name: this.encoder.encode(path),
+            data,
+            crc: ZipArchive.crc32(data),
+            modified: ZipArchive.toDosDateTime(modified)
+        });
+        return this;
+    }
+
+    // Build the archive and return it as a Uint8Array
+    generate() {
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const entry of this.entries) {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true); // Local file header signature
+            local.setUint16(4, 20, true); // Version needed to extract
+            local.setUint16(6, 0x0800, true); // Flags: file names are UTF-8
+            local.setUint16(8, 0, true); // Compression: stored
+            local.setUint16(10, entry.modified.time, true);
+            local.setUint16(12, entry.modified.date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.data.length, true);
+            local.setUint32(22, entry.data.length, true);
+            local.setUint16(26, entry.name.length, true);
+            local.setUint16(28, 0, true); // Extra field length
+            localParts.push(new Uint8Array(local.buffer), entry.name, entry.data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true); // Central directory signature
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true); // Version needed to extract
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, entry.modified.time, true);
+            central.setUint16(14, entry.modified.date, true);
+            central.setUint32(16, entry.crc, true);
+            central.setUint32(20, entry.data.length, true);
+            central.setUint32(24, entry.data.length, true);
+            central.setUint16(28, entry.name.length, true);
+            // Extra, comment, disk number and attribute fields stay zero
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), entry.name);
+
+            offset += 30 + entry.name.length + entry.data.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true); // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            output.set(part, position);
+            position += part.length;
+        }
+        return output;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipArchive;
+}